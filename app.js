@@ -10,6 +10,14 @@ import authRouter from "./src/routes/auth.js";
 import usersRouter from "./src/routes/users.js";
 import timeEntriesRouter from "./src/routes/timeEntries.js";
 import shiftsRouter from "./src/routes/shifts.js";
+import permissionsRouter from "./src/routes/permissions.js";
+import businessRouter from "./src/routes/business.js";
+import billingRouter from "./src/routes/billing.js";
+import locationsRouter from "./src/routes/locations.js";
+import inventoryRouter from "./src/routes/inventory.js";
+import publicRouter from "./src/routes/public.js";
+import { startMailWorker } from "./src/jobs/mailWorker.js";
+import { startBusinessPurgeWorker } from "./src/jobs/businessPurgeWorker.js";
 
 dotenv.config();
 
@@ -17,7 +25,14 @@ const app = express();
 app.set("view engine", "ejs");
 
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// keep the raw bytes for signed webhooks (routes/billing.js)
+app.use(
+  bodyParser.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(
   cors({
     origin: "http://localhost:3000",
@@ -28,7 +43,7 @@ app.options("*", cors());
 app.use(express.json());
 app.use(cookieParser());
 
-// sets req.user (if Bearer token present)
+// sets req.user (if a valid cookie/Bearer token is present); requireAuth reuses the result
 app.use(authenticate);
 
 app.get("/", (_req, res) => res.send("Hello World!"));
@@ -38,10 +53,17 @@ app.use("/api/auth", authRouter);
 app.use("/api/users", usersRouter);
 app.use("/api/time-entries", timeEntriesRouter);
 app.use("/api/shifts", shiftsRouter);
+app.use("/api/permissions", permissionsRouter);
+app.use("/api/business", businessRouter);
+app.use("/api/billing", billingRouter);
+app.use("/api/locations", locationsRouter);
+app.use("/api/inventory", inventoryRouter);
+app.use("/api/public", publicRouter);
 
 // error handler AFTER routes
 app.use((err, _req, res, _next) => {
   const status = err?.statusCode || 500;
+  if (err?.details?.retryAfterSeconds) res.set("Retry-After", String(err.details.retryAfterSeconds));
   res.status(status).json({
     message: err?.message || "Internal Server Error",
     details: err?.details,
@@ -52,6 +74,11 @@ mongoose
   .connect(process.env.MONGO_URL)
   .then(() => {
     console.log("MongoDB Connection State:", mongoose.connection.readyState);
+
+    // background jobs
+    startMailWorker();
+    startBusinessPurgeWorker();
+
     const port = process.env.PORT || "5000";
     app.listen(port, (err) => {
       if (err) throw err;
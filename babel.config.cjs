@@ -0,0 +1,4 @@
+// Jest runs the tests as CommonJS: compile the ESM sources for tests only
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+};
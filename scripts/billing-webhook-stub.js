@@ -0,0 +1,62 @@
+// scripts/billing-webhook-stub.js
+// Local stand-in for the payment provider: signs a subscription event with
+// BILLING_WEBHOOK_SECRET and posts it to the webhook endpoint.
+//
+// Usage:
+//   npm run billing:stub -- --business <businessId> --plan pro [--status active]
+//     [--type subscription.updated|subscription.created|subscription.canceled]
+//     [--renewal-days 30] [--url http://localhost:5000/api/billing/webhook]
+import dotenv from "dotenv";
+import { randomBytes } from "crypto";
+import { signPayload, SIGNATURE_HEADER } from "../src/utils/webhookSignature.js";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const secret = process.env.BILLING_WEBHOOK_SECRET;
+const url = args.url || `http://localhost:${process.env.PORT || 5000}/api/billing/webhook`;
+
+if (!secret) {
+  console.error("BILLING_WEBHOOK_SECRET is not set");
+  process.exit(1);
+}
+if (!args.business && !args.customer) {
+  console.error("Pass --business <businessId> or --customer <customerId>");
+  process.exit(1);
+}
+
+const renewalDays = Number(args["renewal-days"] || 30);
+const event = {
+  id: `evt_${randomBytes(8).toString("hex")}`,
+  type: args.type || "subscription.updated",
+  createdAt: new Date().toISOString(),
+  data: {
+    businessId: args.business,
+    customerId: args.customer,
+    subscriptionId: args.subscription,
+    plan: args.plan || "pro",
+    status: args.status || "active",
+    renewalAt: new Date(Date.now() + renewalDays * 24 * 60 * 60 * 1000).toISOString(),
+  },
+};
+
+const body = JSON.stringify(event);
+const response = await fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", [SIGNATURE_HEADER]: signPayload(body, { secret }) },
+  body,
+});
+
+console.log(response.status, await response.text());
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,35 @@
+// jobs/businessPurgeWorker.js
+// Hard-deletes businesses whose deletion grace period has ended. Started from app.js once MongoDB is connected.
+import { readdirSync } from "fs";
+import { fileURLToPath } from "url";
+import { purgeDeletedBusinesses } from "../services/businessService.js";
+
+const MODELS_DIR = fileURLToPath(new URL("../models/", import.meta.url));
+
+// purgeBusiness() walks mongoose.modelNames(); make sure every model is registered,
+// not just the ones some route happened to import
+async function registerAllModels() {
+  const files = readdirSync(MODELS_DIR).filter((f) => f.endsWith(".js"));
+  await Promise.all(files.map((f) => import(new URL(`../models/${f}`, import.meta.url))));
+}
+
+async function runPurge() {
+  await registerAllModels();
+  const purged = await purgeDeletedBusinesses();
+  for (const p of purged) {
+    console.log(`Purged business ${p.slug} (${p._id}):`, JSON.stringify(p.removed));
+  }
+}
+
+export function startBusinessPurgeWorker({
+  intervalMs = Number(process.env.BUSINESS_PURGE_INTERVAL_MS || 60 * 60 * 1000),
+} = {}) {
+  const timer = setInterval(() => {
+    runPurge().catch((err) => console.error("Business purge error:", err.message));
+  }, intervalMs);
+  timer.unref();
+
+  runPurge().catch((err) => console.error("Business purge error:", err.message));
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,15 @@
+// jobs/mailWorker.js
+// Periodically delivers queued email (retries included). Started from app.js once MongoDB is connected.
+import { processMailQueue } from "../services/mailService.js";
+
+export function startMailWorker({ intervalMs = Number(process.env.MAIL_WORKER_INTERVAL_MS || 15000) } = {}) {
+  const timer = setInterval(() => {
+    processMailQueue().catch((err) => console.error("Mail worker error:", err.message));
+  }, intervalMs);
+  timer.unref();
+
+  // Flush anything left over from a previous run
+  processMailQueue().catch((err) => console.error("Mail worker error:", err.message));
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,172 @@
+// mail/templates.js
+// Each template renders { subject, text, html } from { business, user, ...data }.
+// `transactional` templates are always sent; the rest honor
+// user.preferences.notifications.email.
+
+const APP_URL = () => (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, "");
+const DEFAULT_COLOR = "#1A73E8";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function appLink(pathname, params = {}) {
+  const url = new URL(`${APP_URL()}${pathname}`);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  }
+  return url.toString();
+}
+
+function greetingName(user) {
+  return user?.firstName || user?.displayName || "there";
+}
+
+function formatDateTime(date, timezone) {
+  const opts = { dateStyle: "medium", timeStyle: "short" };
+  try {
+    return new Date(date).toLocaleString("en-CA", { ...opts, timeZone: timezone });
+  } catch {
+    return new Date(date).toLocaleString("en-CA", opts);
+  }
+}
+
+/**
+ * Wraps body paragraphs in the tenant's branding (logo + primary color).
+ * paragraphs: string[] (plain text, escaped here)
+ * action: optional { label, url }
+ */
+function layout(business, { paragraphs, action }) {
+  const color = business?.branding?.primaryColor || DEFAULT_COLOR;
+  const logoUrl = business?.branding?.logoUrl;
+  const name = business?.name || "ZCOR";
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#222">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;overflow:hidden">
+      <tr>
+        <td style="background:${escapeHtml(color)};padding:16px 24px;color:#fff;font-size:18px;font-weight:bold">
+          ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="" height="32" style="vertical-align:middle;margin-right:8px">` : ""}${escapeHtml(name)}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:24px">
+          ${paragraphs.map((p) => `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(p)}</p>`).join("\n          ")}
+          ${
+            action
+              ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:${escapeHtml(color)};color:#fff;padding:12px 20px;border-radius:4px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>
+          <p style="margin:0;font-size:12px;color:#666">Or open this link: ${escapeHtml(action.url)}</p>`
+              : ""
+          }
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  const text = [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : []), `— ${name}`].join("\n\n");
+
+  return { html, text };
+}
+
+const templates = {
+  passwordReset: {
+    transactional: true,
+    render({ business, user, token, ttlMinutes = 30 }) {
+      const url = appLink("/reset-password", { token, email: user.email, business: business.slug });
+      return {
+        subject: `Reset your ${business.name} password`,
+        ...layout(business, {
+          paragraphs: [
+            `Hi ${greetingName(user)},`,
+            "We received a request to reset your password. If you didn't ask for this, you can ignore this email.",
+            `This link expires in ${ttlMinutes} minutes.`,
+          ],
+          action: { label: "Reset password", url },
+        }),
+      };
+    },
+  },
+
+  invite: {
+    transactional: true,
+    render({ business, user, token, invitedByName }) {
+      const url = appLink("/accept-invite", { token });
+      return {
+        subject: `You're invited to join ${business.name}`,
+        ...layout(business, {
+          paragraphs: [
+            `Hi ${greetingName(user)},`,
+            `${invitedByName || "Your manager"} invited you to join ${business.name}. Set your password to get started.`,
+          ],
+          action: { label: "Accept invite", url },
+        }),
+      };
+    },
+  },
+
+  emailVerification: {
+    transactional: true,
+    render({ business, user, token }) {
+      const url = appLink("/verify-email", { token });
+      return {
+        subject: "Verify your email address",
+        ...layout(business, {
+          paragraphs: [`Hi ${greetingName(user)},`, "Please confirm this is your email address."],
+          action: { label: "Verify email", url },
+        }),
+      };
+    },
+  },
+
+  ownershipTransfer: {
+    transactional: true,
+    render({ business, user, fromName, expiresAt }) {
+      const tz = user?.preferences?.timezone || business?.settings?.timezone;
+      return {
+        subject: `You've been asked to take over ${business.name}`,
+        ...layout(business, {
+          paragraphs: [
+            `Hi ${greetingName(user)},`,
+            `${fromName || "The owner"} wants to make you the owner of ${business.name}. Sign in to accept or decline.`,
+            `This request expires ${formatDateTime(expiresAt, tz)}.`,
+          ],
+          action: { label: "Review request", url: appLink("/settings/ownership") },
+        }),
+      };
+    },
+  },
+
+  shiftPublished: {
+    transactional: false,
+    render({ business, user, shift }) {
+      const tz = user?.preferences?.timezone || business?.settings?.timezone;
+      const when = `${formatDateTime(shift.startAt, tz)} – ${formatDateTime(shift.endAt, tz)}`;
+      return {
+        subject: `New shift scheduled: ${formatDateTime(shift.startAt, tz)}`,
+        ...layout(business, {
+          paragraphs: [
+            `Hi ${greetingName(user)},`,
+            `You have a new shift at ${business.name}.`,
+            `When: ${when}`,
+            ...(shift.roleTag ? [`Role: ${shift.roleTag}`] : []),
+            ...(shift.notes ? [`Notes: ${shift.notes}`] : []),
+          ],
+          action: { label: "View schedule", url: appLink("/schedule") },
+        }),
+      };
+    },
+  },
+};
+
+export function getTemplate(name) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  return template;
+}
@@ -0,0 +1,40 @@
+// mail/transports/fileTransport.js
+// Writes each message to MAIL_OUTBOX_DIR as <id>.eml (raw MIME) and <id>.json
+// (envelope + rendered bodies). For local development and tests.
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+export default function createFileTransport({ dir = process.env.MAIL_OUTBOX_DIR || "outbox" } = {}) {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  const outDir = path.resolve(dir);
+
+  return {
+    name: "file",
+    async send(message) {
+      const info = await builder.sendMail(message);
+      const id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${message.id || info.messageId}`;
+
+      await mkdir(outDir, { recursive: true });
+      await writeFile(path.join(outDir, `${id}.eml`), info.message);
+      await writeFile(
+        path.join(outDir, `${id}.json`),
+        JSON.stringify(
+          {
+            messageId: info.messageId,
+            envelope: info.envelope,
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+          },
+          null,
+          2,
+        ),
+      );
+
+      return { messageId: info.messageId };
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// mail/transports/index.js
+// MAIL_TRANSPORT=smtp|file (default: file outside production, smtp in production)
+import createFileTransport from "./fileTransport.js";
+import createSmtpTransport from "./smtpTransport.js";
+
+const factories = {
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let cached = null;
+
+export function getTransport() {
+  if (cached) return cached;
+
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "file");
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+  cached = factory();
+  return cached;
+}
+
+// Tests can inject a fake transport
+export function setTransport(transport) {
+  cached = transport;
+}
@@ -1,31 +1,96 @@
 // middleware/authenticate.js
-import jwt from "jsonwebtoken";
+// The single place access tokens are turned into req.user.
+//
+// A token is accepted only if:
+// - the JWT verifies and is bound to an active server-side session (sid)
+// - the user still exists and is active
+// - it was issued after the user's last password change
+// - its token version (tv) matches the user's (bumped on role change / sign out everywhere)
 import User from "../models/User.js";
+import { HttpError, unauthorized } from "../utils/httpError.js";
+import { verifyAccessToken } from "../utils/jwt.js";
+import { COOKIE_NAME } from "../utils/authCookies.js";
+import { isSessionActive } from "../services/sessionService.js";
 
-export default async function authenticate(req, _res, next) {
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+function extractToken(req) {
+  // 1) Cookie, 2) Authorization: Bearer
+  const cookieToken = req.cookies?.[COOKIE_NAME];
+  if (cookieToken) return cookieToken;
+
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7);
+  return null;
+}
+
+async function resolveUserFromToken(token) {
+  let payload;
   try {
-    const header = req.headers.authorization || "";
-    const [type, token] = header.split(" ");
+    payload = verifyAccessToken(token);
+  } catch {
+    // Expired/invalid -> 401 so clients know to call /api/auth/refresh
+    throw unauthorized("Invalid or expired token");
+  }
+
+  const userId = payload?.sub || payload?._id || payload?.id;
+  if (!userId) throw unauthorized("Not authenticated");
+
+  if (!(await isSessionActive(payload.sid))) throw unauthorized("Session has ended");
+
+  const user = await User.findById(userId);
+  if (!user) throw unauthorized("Not authenticated");
+  if (user.status !== "active") throw unauthorized("Account is not active");
+
+  if (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    throw unauthorized("Password was changed; please sign in again");
+  }
+  if ((payload.tv || 0) !== (user.tokenVersion || 0)) {
+    throw unauthorized("Session is no longer valid; please sign in again");
+  }
 
-    if (type !== "Bearer" || !token) {
-      // No token: user stays unauthenticated; requireAuth will block protected routes
-      return next();
-    }
+  return { user, payload };
+}
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
+function touchLastSeen(user) {
+  const now = Date.now();
+  if (user.lastSeenAt && now - user.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) return;
 
-    // Load the user from DB (include business + role)
-    const user = await User.findById(payload.sub).select("business role status email firstName lastName displayName");
+  user.lastSeenAt = new Date(now);
+  User.updateOne({ _id: user._id }, { $set: { lastSeenAt: user.lastSeenAt } }).catch((err) =>
+    console.error("lastSeenAt update failed:", err.message),
+  );
+}
 
-    if (!user) return next();
+/**
+ * Resolve req.user / req.auth once per request.
+ * Auth failures are remembered on req.authError (requireAuth reports them);
+ * anything else (e.g. DB down) is thrown.
+ */
+export async function authenticateRequest(req) {
+  if (req.authResolved) return;
+  req.authResolved = true;
 
-    // Optional: block disabled/deleted users
-    if (user.status === "disabled" || user.status === "deleted") return next();
+  const token = extractToken(req);
+  if (!token) return;
 
+  try {
+    const { user, payload } = await resolveUserFromToken(token);
     req.user = user;
-    next();
+    req.auth = payload;
+    touchLastSeen(user);
   } catch (err) {
-    // Invalid token -> treat as unauthenticated
+    if (!(err instanceof HttpError)) throw err;
+    req.authError = err;
+  }
+}
+
+// App-wide: sets req.user when a valid token is present; never blocks
+export default async function authenticate(req, _res, next) {
+  try {
+    await authenticateRequest(req);
     next();
+  } catch (err) {
+    next(err);
   }
 }
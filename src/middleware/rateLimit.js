@@ -0,0 +1,42 @@
+// middleware/rateLimit.js
+// In-memory fixed-window limiter for cheap public endpoints. Counters live in
+// this process only; auth endpoints use the persistent services/throttleService.js.
+import { tooManyRequests } from "../utils/httpError.js";
+
+export default function rateLimit({ windowMs = 60 * 1000, max = 60, keyFor = (req) => req.ip } = {}) {
+  const buckets = new Map();
+  let nextSweepAt = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Drop lapsed windows now and then so the map does not grow without bound
+    if (now >= nextSweepAt) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.resetAt <= now) buckets.delete(key);
+      }
+      nextSweepAt = now + windowMs;
+    }
+
+    const key = keyFor(req) || "unknown";
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+    bucket.count += 1;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - bucket.count)));
+
+    if (bucket.count > max) {
+      return next(
+        tooManyRequests("Too many requests. Try again later.", {
+          code: "RATE_LIMITED",
+          retryAfterSeconds: Math.ceil((bucket.resetAt - now) / 1000),
+        }),
+      );
+    }
+    next();
+  };
+}
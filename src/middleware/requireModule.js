@@ -0,0 +1,37 @@
+// middleware/requireModule.js
+import { forbidden, paymentRequired } from "../utils/httpError.js";
+import { planIncludesModule } from "../utils/plans.js";
+
+export const MODULES = ["scheduling", "timeTracking", "inventory"];
+
+/**
+ * Gate a router/route on a tenant feature toggle (Business.modules) and on the
+ * subscription plan including the module.
+ * Requires resolveTenant to have run first.
+ */
+export default function requireModule(moduleName) {
+  if (!MODULES.includes(moduleName)) {
+    throw new Error(`Unknown module "${moduleName}"`);
+  }
+
+  return (req, _res, next) => {
+    const enabled = req.business?.modules?.[moduleName];
+    if (enabled === false || !req.business) {
+      return next(
+        forbidden(`The ${moduleName} module is not enabled for this business`, {
+          code: "MODULE_DISABLED",
+          module: moduleName,
+        }),
+      );
+    }
+    if (!planIncludesModule(req.business, moduleName)) {
+      return next(
+        paymentRequired(`The ${moduleName} module is not included in your plan`, {
+          code: "MODULE_NOT_IN_PLAN",
+          module: moduleName,
+        }),
+      );
+    }
+    next();
+  };
+}
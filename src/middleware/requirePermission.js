@@ -0,0 +1,18 @@
+// middleware/requirePermission.js
+import { forbidden } from "../utils/httpError.js";
+import { hasPermission } from "../utils/permissions.js";
+
+// Passes if the user has ANY of the listed permissions (mirrors requireRole).
+export default function requirePermission(...permissions) {
+  return (req, _res, next) => {
+    if (!req.user || !permissions.some((p) => hasPermission(req.user, p))) {
+      return next(
+        forbidden("You do not have permission to perform this action", {
+          code: "PERMISSION_DENIED",
+          required: permissions,
+        }),
+      );
+    }
+    next();
+  };
+}
@@ -0,0 +1,79 @@
+// middleware/resolveTenant.js
+import Business from "../models/Business.js";
+import { forbidden, paymentRequired, unauthorized } from "../utils/httpError.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import { isTwoFactorRequired } from "../services/twoFactorService.js";
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Resolves the tenant for an authenticated request (mount AFTER requireAuth).
+ *
+ * - The tenant is the authenticated user's business.
+ * - The token's `business` claim must agree with it (a token minted for another
+ *   tenant, or for a user that has since moved, is rejected).
+ * - Deleted businesses are rejected (unless allowDeleted, used by restore); ones
+ *   being purged always are.
+ * - Suspended businesses and expired trials are read-only: GETs work, writes get
+ *   403 BUSINESS_SUSPENDED / 402 TRIAL_EXPIRED (unless allowReadOnly, used by
+ *   lifecycle and billing endpoints).
+ * - Roles the business requires 2FA for must have enrolled (the /api/auth/2fa
+ *   endpoints do not use this middleware, so enrollment stays reachable).
+ *
+ * Sets:
+ * - req.business   (Business document)
+ * - req.businessId (ObjectId) used by byBusiness() and the services
+ * - req.user.$locals.permissions (effective permissions for this tenant)
+ */
+export function resolveTenantWith({ allowDeleted = false, allowReadOnly = false } = {}) {
+  return async function resolveTenant(req, _res, next) {
+    try {
+      if (!req.user) throw unauthorized("Not authenticated");
+
+      const userBusinessId = req.user.business ? String(req.user.business) : null;
+      if (!userBusinessId) throw forbidden("User does not belong to a business");
+
+      const claimBusinessId = req.auth?.business ? String(req.auth.business) : null;
+      if (!claimBusinessId || claimBusinessId !== userBusinessId) {
+        throw unauthorized("Token does not match the user's business");
+      }
+
+      const business = await Business.findById(userBusinessId);
+      if (!business) throw forbidden("Business not found", { code: "BUSINESS_NOT_FOUND" });
+
+      if (business.status === "purging" || (business.status === "deleted" && !allowDeleted)) {
+        throw forbidden("This business has been deleted", {
+          code: "BUSINESS_DELETED",
+          purgeAfter: business.purgeAfter,
+        });
+      }
+
+      if (!allowReadOnly && !READ_METHODS.includes(req.method)) {
+        if (business.status === "suspended") {
+          throw forbidden("This business is suspended; data is read-only", { code: "BUSINESS_SUSPENDED" });
+        }
+        if (business.isTrialExpired()) {
+          throw paymentRequired("The trial has ended; choose a plan to keep making changes", {
+            code: "TRIAL_EXPIRED",
+            trialEndsAt: business.trialEndsAt,
+          });
+        }
+      }
+
+      if (isTwoFactorRequired(req.user, business) && !req.user.twoFactor?.enabled) {
+        throw forbidden("Your business requires two-factor authentication; set it up to continue", {
+          code: "TWO_FACTOR_SETUP_REQUIRED",
+        });
+      }
+
+      req.business = business;
+      req.businessId = business._id;
+      req.user.$locals.permissions = resolvePermissions(req.user, business);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+export default resolveTenantWith();
@@ -0,0 +1,37 @@
+// models/AuditEvent.js
+// Append-only record of security / administrative events within a tenant.
+import mongoose from "mongoose";
+import tenantScopedPlugin from "../plugins/tenantScoped.js";
+
+const { Schema } = mongoose;
+
+const AuditEventSchema = new Schema(
+  {
+    business: { type: Schema.Types.ObjectId, ref: "Business", required: true, index: true },
+
+    // Who did it (null for system events, e.g. automatic lockout)
+    actor: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Dotted event name, e.g. "auth.lockout", "user.unlocked"
+    action: { type: String, required: true, trim: true, maxlength: 80, index: true },
+
+    // What it happened to
+    target: {
+      kind: { type: String, trim: true, maxlength: 60 }, // "User", "Business", ...
+      id: { type: Schema.Types.ObjectId },
+    },
+
+    // Free-form context (changed fields, counts, reasons)
+    meta: { type: Schema.Types.Mixed },
+
+    ip: { type: String, trim: true, maxlength: 64 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditEventSchema.plugin(tenantScopedPlugin);
+AuditEventSchema.index({ business: 1, createdAt: -1 });
+AuditEventSchema.index({ business: 1, "target.kind": 1, "target.id": 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+export default AuditEvent;
@@ -0,0 +1,28 @@
+// models/AuthThrottle.js
+// Attempt counters for auth endpoints (per account, per IP). See services/throttleService.js.
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const AuthThrottleSchema = new Schema(
+  {
+    // e.g. "loginAccount:<businessId|*>:<email>", "loginIp:<ip>"
+    key: { type: String, required: true, trim: true, maxlength: 512 },
+    policy: { type: String, required: true, trim: true, maxlength: 60 },
+
+    count: { type: Number, default: 0 },
+    firstAttemptAt: { type: Date },
+    lastAttemptAt: { type: Date },
+    blockedUntil: { type: Date },
+
+    // Counter resets when the window lapses with no new attempts
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: false }
+);
+
+AuthThrottleSchema.index({ key: 1 }, { unique: true });
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model("AuthThrottle", AuthThrottleSchema);
+export default AuthThrottle;
@@ -51,6 +51,26 @@ const SettingsSchema = new Schema(
     inventory: {
       lowStockThresholdDefault: { type: Number, min: 0, default: 0 },
       trackCost: { type: Boolean, default: false },
+      allowNegativeStock: { type: Boolean, default: false }, // stock movements may take stockOnHand below 0
+    },
+
+    // Per-role permission overrides (see utils/permissions.js).
+    // Unset => role defaults; owners always have every permission.
+    rolePermissions: {
+      manager: { type: [String], default: undefined },
+      employee: { type: [String], default: undefined },
+    },
+
+    security: {
+      // Actions blocked until the acting user has verified their email
+      requireVerifiedEmailFor: [
+        {
+          type: String,
+          enum: ["shifts.publish", "timeEntries.approve", "users.invite"],
+        },
+      ],
+      // Roles that must enroll in two-factor authentication
+      requireTwoFactorFor: [{ type: String, enum: ["owner", "manager"] }],
     },
   },
   { _id: false }
@@ -70,14 +90,32 @@ const BusinessSchema = new Schema(
 
     status: {
       type: String,
-      enum: ["active", "trial", "suspended", "deleted"],
+      // "purging": claimed by the purge job, data is being removed (never restorable)
+      enum: ["active", "trial", "suspended", "deleted", "purging"],
       default: "trial",
       index: true,
     },
 
+    // Trial period; once it ends the tenant is read-only until it subscribes
+    trialEndsAt: { type: Date },
+
     // Ownership / audit
     createdBy: { type: Schema.Types.ObjectId, ref: "User" }, // typically owner user
     deletedAt: { type: Date },
+    // Owner-initiated deletion: restorable until purgeAfter, then jobs/businessPurgeWorker.js
+    // hard-deletes every tenant-scoped document
+    purgeAfter: { type: Date, index: true },
+    statusBeforeDeletion: { type: String, enum: ["active", "trial", "suspended"] },
+
+    // Pending owner-initiated handover (services/ownershipService.js)
+    ownershipTransfer: {
+      from: { type: Schema.Types.ObjectId, ref: "User" },
+      to: { type: Schema.Types.ObjectId, ref: "User" },
+      // What the current owner becomes once the recipient accepts
+      previousOwnerRole: { type: String, enum: ["manager", "employee"] },
+      requestedAt: { type: Date },
+      expiresAt: { type: Date },
+    },
 
     // Contact info
     contactEmail: { type: String, trim: true, lowercase: true, maxlength: 320 },
@@ -105,6 +143,15 @@ const BusinessSchema = new Schema(
       },
       renewalAt: { type: Date },
       customerId: { type: String, trim: true }, // e.g. Stripe customer id
+      // Kept in sync by the billing webhook (services/billingService.js)
+      status: {
+        type: String,
+        enum: ["trialing", "active", "past_due", "canceled"],
+        default: "trialing",
+      },
+      subscriptionId: { type: String, trim: true },
+      lastEventId: { type: String, trim: true },
+      lastEventAt: { type: Date },
     },
   },
   {
@@ -115,6 +162,7 @@ const BusinessSchema = new Schema(
 // ---- Indexes ----
 BusinessSchema.index({ slug: 1 }, { unique: true });
 BusinessSchema.index({ name: "text", slug: "text" });
+BusinessSchema.index({ "subscription.customerId": 1 }, { sparse: true });
 
 // ---- Middleware ----
 BusinessSchema.pre("save", function preSave(next) {
@@ -130,4 +178,21 @@ BusinessSchema.methods.isActive = function isActive() {
   return this.status === "active" || this.status === "trial";
 };
 
+BusinessSchema.methods.isTrialExpired = function isTrialExpired() {
+  return this.status === "trial" && Boolean(this.trialEndsAt) && this.trialEndsAt.getTime() <= Date.now();
+};
+
+// Members can still sign in to suspended tenants (read-only) and to deleted ones
+// during the grace period (owners restore); resolveTenantWith enforces the rest
+BusinessSchema.methods.isReachable = function isReachable() {
+  if (this.status === "purging") return false;
+  if (this.status !== "deleted") return true;
+  return Boolean(this.purgeAfter) && this.purgeAfter.getTime() > Date.now();
+};
+
+// Suspended and expired-trial tenants can still read their data but not change it
+BusinessSchema.methods.isReadOnly = function isReadOnly() {
+  return this.status === "suspended" || this.isTrialExpired();
+};
+
 export default model("Business", BusinessSchema);
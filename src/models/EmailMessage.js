@@ -0,0 +1,43 @@
+// models/EmailMessage.js
+// Outbound email queue. Rows are rendered at enqueue time and delivered by the
+// mail worker (jobs/mailWorker.js) with retries, so requests never wait on SMTP.
+import mongoose from "mongoose";
+import tenantScopedPlugin from "../plugins/tenantScoped.js";
+
+const { Schema } = mongoose;
+
+const EmailMessageSchema = new Schema(
+  {
+    business: { type: Schema.Types.ObjectId, ref: "Business", required: true, index: true },
+    user: { type: Schema.Types.ObjectId, ref: "User" },
+
+    template: { type: String, trim: true, maxlength: 60, required: true },
+    to: { type: String, trim: true, lowercase: true, maxlength: 320, required: true },
+    from: { type: String, trim: true, maxlength: 320 },
+    subject: { type: String, trim: true, maxlength: 300, required: true },
+    text: { type: String },
+    html: { type: String },
+
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: () => new Date() },
+    lockedAt: { type: Date },
+    lastError: { type: String, maxlength: 2000 },
+    sentAt: { type: Date },
+    transport: { type: String, trim: true, maxlength: 40 },
+  },
+  { timestamps: true }
+);
+
+EmailMessageSchema.plugin(tenantScopedPlugin);
+
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ business: 1, createdAt: -1 });
+
+const EmailMessage = mongoose.model("EmailMessage", EmailMessageSchema);
+export default EmailMessage;
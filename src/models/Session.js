@@ -0,0 +1,56 @@
+// models/Session.js
+// A Session is one refresh-token family: one sign-in on one device.
+// Every refresh rotates refreshTokenHash; superseded hashes are kept so that a
+// replayed (stolen) refresh token is detected and the whole session revoked.
+import mongoose from "mongoose";
+import tenantScopedPlugin from "../plugins/tenantScoped.js";
+
+const { Schema } = mongoose;
+
+const MAX_PREVIOUS_HASHES = 20;
+
+const SessionSchema = new Schema(
+  {
+    business: { type: Schema.Types.ObjectId, ref: "Business", required: true, index: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Current refresh token (hash only, never the raw token)
+    refreshTokenHash: { type: String, required: true, select: false },
+    previousTokenHashes: { type: [String], default: [], select: false },
+
+    // Client info (best effort, for the "active sessions" list)
+    device: { type: String, trim: true, maxlength: 160 },
+    ip: { type: String, trim: true, maxlength: 64 },
+    userAgent: { type: String, trim: true, maxlength: 512 },
+
+    // Other memberships (User docs in other businesses, same email) unlocked by the
+    // same password at sign-in; switch-business may move between these
+    linkedUsers: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    remember: { type: Boolean, default: false },
+    lastUsedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "signout_all", "reuse_detected", "user_inactive", "password_change", "business_switch"],
+    },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.plugin(tenantScopedPlugin);
+
+SessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Let MongoDB drop sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+SessionSchema.statics.MAX_PREVIOUS_HASHES = MAX_PREVIOUS_HASHES;
+
+SessionSchema.methods.isActive = function isActive() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+const Session = mongoose.model("Session", SessionSchema);
+export default Session;
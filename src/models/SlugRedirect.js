@@ -0,0 +1,23 @@
+// models/SlugRedirect.js
+// A business's previous slug, kept for a while after a rename so old login links
+// and bookmarks still resolve. See services/businessService.js (changeBusinessSlug).
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const SlugRedirectSchema = new Schema(
+  {
+    slug: { type: String, required: true, trim: true, lowercase: true, maxlength: 80 },
+    business: { type: Schema.Types.ObjectId, ref: "Business", required: true, index: true },
+
+    // Removed by the TTL index; the slug becomes available to everyone again
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+SlugRedirectSchema.index({ slug: 1 }, { unique: true });
+SlugRedirectSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlugRedirect = mongoose.model("SlugRedirect", SlugRedirectSchema);
+export default SlugRedirect;
@@ -82,7 +82,21 @@ const UserSchema = new Schema(
     // Authentication (local)
     passwordHash: { type: String, select: false },
     passwordChangedAt: { type: Date },
+    // Embedded in access tokens ("tv"); bump to invalidate every issued token
+    tokenVersion: { type: Number, default: 0 },
     isEmailVerified: { type: Boolean, default: false },
+    // Temporary lockout after repeated failed logins (see services/throttleService.js)
+    lockedUntil: { type: Date },
+
+    // TOTP second factor (secrets are encrypted, recovery codes hashed; see services/twoFactorService.js)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false, default: undefined },
+      lastUsedCounter: { type: Number, select: false },
+    },
 
     // For OAuth / SSO later (optional)
     authProviders: [
@@ -105,6 +119,20 @@ const UserSchema = new Schema(
       tokenHash: { type: String, select: false },
       expiresAt: { type: Date },
     },
+    // Pending invitation (status === "invited")
+    invitation: {
+      tokenHash: { type: String, select: false },
+      expiresAt: { type: Date },
+      invitedBy: { type: Schema.Types.ObjectId, ref: "User" },
+      sentAt: { type: Date },
+    },
+
+    // Locations this user works at (directory filter; see models/Location.js).
+    // Non-owners with locations only see those locations in business-wide views
+    // (utils/locationScope.js).
+    locations: [{ type: Schema.Types.ObjectId, ref: "Location" }],
+    // Primary location; always one of `locations`
+    homeLocation: { type: Schema.Types.ObjectId, ref: "Location" },
 
     // Employee/work metadata (use what you need; safe to keep optional)
     employeeMeta: {
@@ -152,6 +180,8 @@ const UserSchema = new Schema(
         delete ret.passwordHash;
         delete ret.passwordReset;
         delete ret.emailVerification;
+        if (ret.invitation) delete ret.invitation.tokenHash;
+        if (ret.twoFactor) ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
         delete ret.__v;
         return ret;
       },
@@ -161,6 +191,8 @@ const UserSchema = new Schema(
         delete ret.passwordHash;
         delete ret.passwordReset;
         delete ret.emailVerification;
+        if (ret.invitation) delete ret.invitation.tokenHash;
+        if (ret.twoFactor) ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
         delete ret.__v;
         return ret;
       },
@@ -173,6 +205,11 @@ const UserSchema = new Schema(
 UserSchema.index({ business: 1, email: 1 }, { unique: true });
 // Helpful for common filtering
 UserSchema.index({ business: 1, role: 1, status: 1 });
+UserSchema.index({ business: 1, locations: 1 });
+UserSchema.index({ business: 1, lastName: 1 });
+// Invite / verification links carry only the raw token
+UserSchema.index({ "invitation.tokenHash": 1 }, { sparse: true });
+UserSchema.index({ "emailVerification.tokenHash": 1 }, { sparse: true });
 
 // --- Virtual password setter (not persisted) ---
 UserSchema.virtual("password").set(function setPassword(pw) {
@@ -187,6 +224,11 @@ UserSchema.pre("save", async function preSave(next) {
       this.deletedAt = new Date();
     }
 
+    // Role changes invalidate tokens carrying the old role
+    if (!this.isNew && this.isModified("role")) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
+
     if (this._password) {
       const saltRounds = 12;
       const hash = await _hash(this._password, saltRounds);
@@ -206,6 +248,39 @@ UserSchema.methods.comparePassword = async function comparePassword(plain) {
   return compare(plain, this.passwordHash);
 };
 
+UserSchema.methods.isLocked = function isLocked() {
+  return Boolean(this.lockedUntil && this.lockedUntil.getTime() > Date.now());
+};
+
+/**
+ * Drop everything tied to the person who held this account: credentials,
+ * second factor, grants, location assignments, HR/pay data, availability and
+ * preferences. Used on soft delete and again when a deleted account is revived
+ * (create / invite / CSV import), so a new holder of the email starts clean.
+ * Profile names and email stay for history. Does not save.
+ */
+UserSchema.methods.resetAccountState = function resetAccountState() {
+  this.set({
+    passwordHash: undefined,
+    permissions: [],
+    twoFactor: { enabled: false },
+    authProviders: [],
+    passwordReset: undefined,
+    emailVerification: undefined,
+    invitation: undefined,
+    isEmailVerified: false,
+    lockedUntil: undefined,
+    locations: [],
+    homeLocation: undefined,
+    employeeMeta: undefined,
+    availability: undefined,
+    preferences: {},
+  });
+  // Any access token still carrying the old grants stops working
+  if (!this.isNew) this.tokenVersion = (this.tokenVersion || 0) + 1;
+  return this;
+};
+
 UserSchema.methods.markLogin = async function markLogin() {
   this.lastLoginAt = new Date();
   this.lastSeenAt = new Date();
@@ -263,6 +338,33 @@ UserSchema.methods.consumePasswordResetToken = function consumePasswordResetToke
   return true;
 };
 
+// Create an invite token; return the *raw* token (send via email), store only the hash.
+UserSchema.methods.createInviteToken = function createInviteToken(invitedBy, ttlHours = 72) {
+  const raw = randomBytes(32).toString("hex");
+  const tokenHash = createHash("sha256").update(raw).digest("hex");
+  this.invitation = {
+    tokenHash,
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    invitedBy: invitedBy || this.invitation?.invitedBy,
+    sentAt: new Date(),
+  };
+  return raw;
+};
+
+UserSchema.methods.consumeInviteToken = function consumeInviteToken(rawToken) {
+  const tokenHash = createHash("sha256").update(rawToken).digest("hex");
+  const inv = this.invitation;
+
+  if (this.status !== "invited") return false;
+  if (!inv?.tokenHash || !inv?.expiresAt) return false;
+  if (inv.expiresAt.getTime() < Date.now()) return false;
+  if (inv.tokenHash !== tokenHash) return false;
+
+  this.invitation = undefined;
+  this.status = "active";
+  return true;
+};
+
 // --- Static helpers ---
 UserSchema.statics.safePublicFields = function safePublicFields() {
   return [
@@ -279,6 +381,8 @@ UserSchema.statics.safePublicFields = function safePublicFields() {
     "status",
     "isEmailVerified",
     "employeeMeta",
+    "locations",
+    "homeLocation",
     "availability",
     "preferences",
     "lastLoginAt",
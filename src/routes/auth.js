@@ -1,45 +1,84 @@
 // routes/auth.js
 import { Router } from "express";
+import mongoose from "mongoose";
 import slugify from "slugify";
 import User from "../models/User.js";
 import Business from "../models/Business.js";
 import requireAuth from "../middleware/requireAuth.js";
-import { signAccessToken } from "../utils/jwt.js";
-import { badRequest, conflict, unauthorized } from "../utils/httpError.js";
+import { signAccessToken, signPurposeToken, verifyPurposeToken } from "../utils/jwt.js";
+import {
+  REFRESH_COOKIE_NAME,
+  setAuthCookies,
+  clearAuthCookies,
+  requestClientInfo,
+  startSession,
+} from "../utils/authCookies.js";
+import { hashToken } from "../utils/tokens.js";
+import {
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  signOutEverywhere,
+  listActiveSessions,
+} from "../services/sessionService.js";
+import { queueTemplatedEmail } from "../services/mailService.js";
+import {
+  accountKey,
+  assertNotThrottled,
+  registerAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+} from "../services/throttleService.js";
+import { acceptInvite } from "../services/invitationService.js";
+import { findBusinessBySlug } from "../services/businessService.js";
+import {
+  LOGIN_USER_FIELDS,
+  findPasswordMatchedMemberships,
+  membershipResponse,
+  listSessionMemberships,
+  getSwitchTarget,
+} from "../services/membershipService.js";
+import {
+  verifySecondFactor,
+  getTwoFactorStatus,
+  beginEnrollment,
+  activateEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../services/twoFactorService.js";
+import { badRequest, conflict, forbidden, locked, unauthorized } from "../utils/httpError.js";
 
 const router = Router();
-const COOKIE_NAME = process.env.COOKIE_NAME || "auth_token";
+const TRIAL_DAYS = Number(process.env.TRIAL_DAYS || 14);
+function sendVerificationEmail(user, token) {
+  return queueTemplatedEmail({
+    businessId: user.business,
+    userId: user._id,
+    template: "emailVerification",
+    data: { token },
+  });
+}
 
 /**
- * Cookie options:
- * - httpOnly: JS can't read the token
- * - sameSite: "lax" works well for localhost + most normal navigation
- * - secure: only true in production (https)
+ * Last step of every password-based sign-in: either start the session, or, when
+ * the user has 2FA on, hand back a short-lived challenge for POST /api/auth/2fa/verify.
  */
-function cookieBaseOptions() {
-  return {
-    httpOnly: true,
-    sameSite: "lax",
-    secure: process.env.NODE_ENV === "production",
-    path: "/",
-  };
-}
-
-function setAuthCookie(res, token, remember = false) {
-  // If remember = true => persist cookie longer; else session cookie
-  const opts = cookieBaseOptions();
-
-  if (remember) {
-    // 30 days
-    opts.maxAge = 30 * 24 * 60 * 60 * 1000;
+async function completeLogin(req, res, user, { remember = false, linkedUsers = [] } = {}) {
+  if (user.twoFactor?.enabled) {
+    const challengeToken = signPurposeToken("two_factor", {
+      sub: String(user._id),
+      remember: Boolean(remember),
+      uids: linkedUsers.map(String),
+    });
+    return res.json({ twoFactorRequired: true, challengeToken });
   }
-  // if not remember: no maxAge => session cookie
 
-  res.cookie(COOKIE_NAME, token, opts);
-}
+  await user.markLogin();
+  await startSession(req, res, user, remember, { linkedUsers });
 
-function clearAuthCookie(res) {
-  res.clearCookie(COOKIE_NAME, cookieBaseOptions());
+  // Don't return token to JS
+  res.json({ user: userResponse(user) });
 }
 
 function userResponse(user) {
@@ -54,6 +93,7 @@ function userResponse(user) {
     role: user.role,
     status: user.status,
     isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
   };
@@ -82,8 +122,9 @@ router.post("/register", async (req, res, next) => {
 
     let slug = baseSlug;
     for (let i = 0; i < 10; i++) {
+      // Slugs still redirecting to a renamed business count as taken
       // eslint-disable-next-line no-await-in-loop
-      const exists = await Business.findOne({ slug }).select("_id").lean();
+      const exists = await findBusinessBySlug(slug, { select: "_id" });
       if (!exists) break;
       slug = `${baseSlug}-${Math.floor(Math.random() * 9000 + 1000)}`;
     }
@@ -92,6 +133,7 @@ router.post("/register", async (req, res, next) => {
       name: String(businessName).trim(),
       slug,
       status: "trial",
+      trialEndsAt: new Date(Date.now() + TRIAL_DAYS * 24 * 60 * 60 * 1000),
     });
 
     const existing = await User.findOne({
@@ -114,11 +156,14 @@ router.post("/register", async (req, res, next) => {
       password,
     });
 
+    const verificationToken = owner.createEmailVerificationToken();
+    await owner.save();
+    await sendVerificationEmail(owner, verificationToken);
+
     business.createdBy = owner._id;
     await business.save();
 
-    const token = signAccessToken(owner);
-    setAuthCookie(res, token, Boolean(remember));
+    await startSession(req, res, owner, Boolean(remember));
 
     res.status(201).json({
       business: {
@@ -134,17 +179,14 @@ router.post("/register", async (req, res, next) => {
   }
 });
 
-/**
- * POST /api/auth/login
- * Body: { email, password, businessSlug? }
- *
- * If you later support multiple businesses per email, require businessSlug.
- * For now: we find the user by email across businesses; if multiple, we error.
- */
 /**
  * POST /api/auth/login
  * Body: { email, password, businessSlug?, remember? }
- * Sets HttpOnly cookie, returns { user }
+ * Sets HttpOnly cookies, returns { user }
+ *
+ * Without businessSlug, when the password unlocks memberships in several
+ * businesses, returns { requiresBusinessSelection, selectionToken, businesses }
+ * instead; finish with POST /api/auth/select-business.
  */
 router.post("/login", async (req, res, next) => {
   try {
@@ -155,38 +197,222 @@ router.post("/login", async (req, res, next) => {
 
     let business = null;
     if (businessSlug) {
-      business = await Business.findOne({
-        slug: String(businessSlug).toLowerCase().trim(),
-      }).select("_id name slug status");
-      if (!business) throw unauthorized("Invalid credentials");
+      business = await findBusinessBySlug(businessSlug, { select: "_id name slug status" });
     }
+    const businessId = business?._id || null;
+
+    await assertNotThrottled([
+      { policy: "loginIp", id: req.ip },
+      { policy: "loginAccount", id: accountKey(emailNorm, businessId) },
+    ]);
+
+    // `accounts`: the user(s) the password was checked against, locked once the budget runs out
+    const failLogin = async (accounts = []) => {
+      await registerFailedLogin({ email: emailNorm, businessId, users: [].concat(accounts), ip: req.ip });
+      return unauthorized("Invalid credentials");
+    };
+    const lockedError = (user) =>
+      locked("Account is temporarily locked after too many failed sign-in attempts", {
+        code: "ACCOUNT_LOCKED",
+        lockedUntil: user.lockedUntil,
+      });
+
+    if (businessSlug && !business) throw await failLogin();
 
     const q = business ? { business: business._id, email: emailNorm } : { email: emailNorm };
+    const users = (await User.find(q).select(LOGIN_USER_FIELDS)).filter((u) => u.status !== "deleted");
+
+    if (!users || users.length === 0) throw await failLogin();
+
+    let user;
+    if (users.length === 1) {
+      user = users[0];
+      if (user.isLocked()) throw lockedError(user);
+
+      const ok = await user.comparePassword(password);
+      if (!ok) throw await failLogin(user);
+
+      if (user.status !== "active") throw unauthorized("Account is not active");
+    } else {
+      // Same email in several businesses: the password decides which ones are "mine"
+      const memberships = await findPasswordMatchedMemberships({ email: emailNorm, password, candidates: users });
+
+      if (memberships.length === 0) {
+        const lockedUser = users.find((u) => u.isLocked());
+        if (lockedUser) throw lockedError(lockedUser);
+        throw await failLogin(users);
+      }
+
+      if (memberships.length > 1) {
+        await clearFailedLogins({ email: emailNorm, businessId });
+        const selectionToken = signPurposeToken("business_selection", {
+          sub: emailNorm,
+          uids: memberships.map((m) => String(m.user._id)),
+          remember: Boolean(remember),
+        });
+        return res.json({
+          requiresBusinessSelection: true,
+          selectionToken,
+          businesses: memberships.map((m) => membershipResponse(m)),
+        });
+      }
+
+      user = memberships[0].user;
+    }
 
-    const users = await User.find(q).select(
-      "+passwordHash business role status email firstName lastName displayName",
-    );
+    await clearFailedLogins({ email: emailNorm, businessId });
+
+    // Link the other memberships this password unlocks so switch-business works
+    const linked = await findPasswordMatchedMemberships({ email: emailNorm, password, excludeUserId: user._id });
+    await completeLogin(req, res, user, {
+      remember: Boolean(remember),
+      linkedUsers: [user._id, ...linked.map((m) => m.user._id)],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!users || users.length === 0) throw unauthorized("Invalid credentials");
-    if (!business && users.length > 1) {
-      throw badRequest("Multiple businesses found for this email. Provide businessSlug.");
+/**
+ * POST /api/auth/select-business
+ * Body: { selectionToken, businessId }
+ * Second step of a multi-business login (may be followed by 2FA).
+ */
+router.post("/select-business", async (req, res, next) => {
+  try {
+    const { selectionToken, businessId } = req.body || {};
+    if (!selectionToken || !businessId) throw badRequest("selectionToken and businessId are required");
+    if (!mongoose.isValidObjectId(businessId)) throw badRequest("Invalid businessId");
+
+    let claims;
+    try {
+      claims = verifyPurposeToken(String(selectionToken), "business_selection");
+    } catch {
+      throw unauthorized("Business selection expired; please sign in again");
     }
 
-    const user = users[0];
+    const user = await User.findOne({
+      _id: { $in: claims.uids || [] },
+      business: businessId,
+      status: "active",
+    });
+    if (!user) throw forbidden("You are not a member of this business");
+    if (user.isLocked()) throw forbidden("Your account in this business is temporarily locked");
+
+    // Suspended / deleted tenants are let through; resolveTenant makes them read-only or restore-only
+    const business = await Business.findById(businessId).select("status purgeAfter");
+    if (!business?.isReachable()) throw forbidden("This business is no longer available");
+
+    await completeLogin(req, res, user, { remember: Boolean(claims.remember), linkedUsers: claims.uids });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/auth/businesses (protected)
+ * Businesses I can switch to in this session
+ */
+router.get("/businesses", requireAuth, async (req, res, next) => {
+  try {
+    const memberships = await listSessionMemberships({
+      sessionId: req.auth?.sid,
+      currentUserId: req.user._id,
+    });
+    res.json(memberships);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const ok = await user.comparePassword(password);
-    if (!ok) throw unauthorized("Invalid credentials");
+/**
+ * POST /api/auth/switch-business (protected)
+ * Body: { businessId, code?, recoveryCode? }
+ * Moves this session to my membership in another business (no password prompt;
+ * a 2FA code is required if that membership has 2FA on).
+ */
+router.post("/switch-business", requireAuth, async (req, res, next) => {
+  try {
+    const { businessId, code, recoveryCode } = req.body || {};
 
-    if (user.status === "disabled" || user.status === "deleted") {
-      throw unauthorized("Account is not active");
+    const { user, business, session } = await getSwitchTarget({
+      sessionId: req.auth?.sid,
+      currentUser: req.user,
+      businessId,
+    });
+
+    if (user.twoFactor?.enabled) {
+      if (!code && !recoveryCode) {
+        throw forbidden("A two-factor code is required for this business", { code: "TWO_FACTOR_REQUIRED" });
+      }
+      await verifySecondFactor({ userId: user._id, code, recoveryCode, ip: req.ip, inSession: true });
     }
 
+    await revokeSession({ userId: req.user._id, sessionId: session._id, reason: "business_switch" });
     await user.markLogin();
+    await startSession(req, res, user, session.remember, { linkedUsers: session.linkedUsers });
 
-    const token = signAccessToken(user, Boolean(remember));
-    setAuthCookie(res, token, Boolean(remember));
+    res.json({
+      user: userResponse(user),
+      business: { _id: business._id, name: business.name, slug: business.slug, status: business.status },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Completes a sign-in for users with two-factor authentication on.
+ */
+router.post("/2fa/verify", async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken) throw badRequest("challengeToken is required");
+
+    let claims;
+    try {
+      claims = verifyPurposeToken(String(challengeToken), "two_factor");
+    } catch {
+      throw unauthorized("Two-factor challenge expired; please sign in again");
+    }
+
+    const user = await verifySecondFactor({ userId: claims.sub, code, recoveryCode, ip: req.ip });
+    if (user.status !== "active") throw unauthorized("Account is not active");
+    if (user.isLocked()) throw forbidden("Your account is temporarily locked");
+
+    await user.markLogin();
+    await startSession(req, res, user, Boolean(claims.remember), { linkedUsers: claims.uids || [] });
+
+    res.json({ user: userResponse(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Uses the refresh cookie (or body.refreshToken), rotates it and issues a new access token.
+ * Replaying an already-used refresh token revokes the whole session.
+ */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+    if (!refreshToken) throw unauthorized("Not authenticated");
+
+    let rotated;
+    try {
+      rotated = await rotateSession({ refreshToken, ...requestClientInfo(req) });
+    } catch (err) {
+      clearAuthCookies(res);
+      throw err;
+    }
+
+    const { session, user } = rotated;
+    const accessToken = signAccessToken(user, { sessionId: session._id });
+    setAuthCookies(res, { accessToken, refreshToken: rotated.refreshToken, remember: session.remember });
 
-    // Don't return token to JS
     res.json({ user: userResponse(user) });
   } catch (err) {
     next(err);
@@ -195,11 +421,137 @@ router.post("/login", async (req, res, next) => {
 
 /**
  * POST /api/auth/logout
- * Clears cookie
+ * Revokes the current session and clears cookies
  */
-router.post("/logout", (req, res) => {
-  clearAuthCookie(res);
-  res.json({ message: "Logged out" });
+router.post("/logout", async (req, res, next) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+    if (refreshToken) await revokeSessionByRefreshToken(refreshToken, "logout");
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/auth/sessions (protected)
+ * Lists my active sessions; the one making the request has current=true
+ */
+router.get("/sessions", requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions({
+      userId: req.user._id,
+      currentSessionId: req.auth?.sid,
+    });
+    res.json(sessions);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id (protected)
+ * Revokes one of my sessions
+ */
+router.delete("/sessions/:id", requireAuth, async (req, res, next) => {
+  try {
+    await revokeSession({ userId: req.user._id, sessionId: req.params.id });
+
+    if (String(req.params.id) === String(req.auth?.sid)) clearAuthCookies(res);
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions (protected)
+ * Query: includeCurrent=true to sign out everywhere (also invalidates every issued access token)
+ * Default: revokes all my other sessions
+ */
+router.delete("/sessions", requireAuth, async (req, res, next) => {
+  try {
+    const includeCurrent = String(req.query.includeCurrent) === "true";
+
+    const result = includeCurrent
+      ? await signOutEverywhere(req.user._id)
+      : await revokeAllSessions({ userId: req.user._id, exceptSessionId: req.auth?.sid });
+
+    if (includeCurrent) clearAuthCookies(res);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/auth/2fa (protected)
+ */
+router.get("/2fa", requireAuth, async (req, res, next) => {
+  try {
+    res.json(await getTwoFactorStatus({ user: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup (protected)
+ * Returns a new secret + otpauth:// URI for the authenticator app.
+ */
+router.post("/2fa/setup", requireAuth, async (req, res, next) => {
+  try {
+    res.json(await beginEnrollment({ user: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/activate (protected)
+ * Body: { code }
+ * Returns the recovery codes; they are not shown again.
+ */
+router.post("/2fa/activate", requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) throw badRequest("code is required");
+
+    res.json(await activateEnrollment({ user: req.user, code, ip: req.ip }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes (protected)
+ * Body: { code }
+ * Replaces all recovery codes.
+ */
+router.post("/2fa/recovery-codes", requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) throw badRequest("code is required");
+
+    res.json(await regenerateRecoveryCodes({ user: req.user, code, ip: req.ip }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable (protected)
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post("/2fa/disable", requireAuth, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    res.json(await disableTwoFactor({ user: req.user, password, code, recoveryCode, ip: req.ip }));
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
@@ -213,7 +565,7 @@ router.get("/me", requireAuth, async (req, res) => {
  * POST /api/auth/forgot-password
  * Body: { email, businessSlug? }
  * Always returns 200 so attackers can’t enumerate emails.
- * In development, returns resetToken for testing.
+ * The reset link is emailed (see MAIL_TRANSPORT; the file transport writes to ./outbox locally).
  */
 router.post("/forgot-password", async (req, res, next) => {
   try {
@@ -224,27 +576,35 @@ router.post("/forgot-password", async (req, res, next) => {
 
     let business = null;
     if (businessSlug) {
-      business = await Business.findOne({ slug: String(businessSlug).toLowerCase().trim() }).select("_id").lean();
+      business = await findBusinessBySlug(businessSlug, { select: "_id" });
     }
 
+    // Separate budget from login; every request counts
+    const throttleChecks = [
+      { policy: "forgotPasswordIp", id: req.ip },
+      { policy: "forgotPasswordAccount", id: accountKey(emailNorm, business?._id) },
+    ];
+    await assertNotThrottled(throttleChecks);
+    await Promise.all(throttleChecks.map((c) => registerAttempt(c.policy, c.id)));
+
     const q = business ? { business: business._id, email: emailNorm } : { email: emailNorm };
 
     // Need tokenHash field (select:false) => explicitly select it
     const users = await User.find(q).select("+passwordReset.tokenHash +passwordReset.expiresAt").limit(2);
     const user = users?.length === 1 ? users[0] : null;
 
-    let resetToken = null;
     if (user) {
-      resetToken = user.createPasswordResetToken(30);
+      const resetToken = user.createPasswordResetToken(30);
       await user.save();
-      // TODO: send email with resetToken
+      await queueTemplatedEmail({
+        businessId: user.business,
+        userId: user._id,
+        template: "passwordReset",
+        data: { token: resetToken, ttlMinutes: 30 },
+      });
     }
 
-    const payload = { message: "If the account exists, password reset instructions were sent." };
-    if (process.env.NODE_ENV !== "production" && resetToken) {
-      payload.resetToken = resetToken; // dev-only convenience
-    }
-    res.json(payload);
+    res.json({ message: "If the account exists, password reset instructions were sent." });
   } catch (err) {
     next(err);
   }
@@ -264,26 +624,43 @@ router.post("/reset-password", async (req, res, next) => {
 
     let business = null;
     if (businessSlug) {
-      business = await Business.findOne({ slug: String(businessSlug).toLowerCase().trim() }).select("_id").lean();
+      business = await findBusinessBySlug(businessSlug, { select: "_id" });
       if (!business) throw badRequest("Invalid businessSlug");
     }
 
+    // Separate budget for token guesses
+    const throttleChecks = [
+      { policy: "resetPasswordIp", id: req.ip },
+      { policy: "resetPasswordAccount", id: accountKey(emailNorm, business?._id) },
+    ];
+    await assertNotThrottled(throttleChecks);
+
+    const invalidToken = async () => {
+      await Promise.all(throttleChecks.map((c) => registerAttempt(c.policy, c.id)));
+      return badRequest("Invalid reset token");
+    };
+
     const q = business ? { business: business._id, email: emailNorm } : { email: emailNorm };
 
     const users = await User.find(q)
       .select("+passwordReset.tokenHash +passwordReset.expiresAt +passwordHash")
       .limit(2);
 
-    if (!users || users.length !== 1) throw badRequest("Invalid reset token");
+    if (!users || users.length !== 1) throw await invalidToken();
 
     const user = users[0];
 
     const ok = user.consumePasswordResetToken(String(token));
-    if (!ok) throw badRequest("Invalid reset token");
+    if (!ok) throw await invalidToken();
 
     user.password = String(newPassword);
     user.status = user.status === "invited" ? "active" : user.status;
+    // Proving control of the mailbox also lifts a lockout
+    user.lockedUntil = undefined;
     await user.save();
+    await clearFailedLogins({ email: emailNorm, businessId: user.business });
+    // Anyone holding the old password loses their sessions
+    await revokeAllSessions({ userId: user._id, reason: "password_change" });
 
     res.json({ message: "Password has been reset successfully." });
   } catch (err) {
@@ -291,4 +668,76 @@ router.post("/reset-password", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/accept-invite
+ * Body: { token, password, firstName?, lastName?, displayName?, remember? }
+ * Activates the invited user and logs them in.
+ */
+router.post("/accept-invite", async (req, res, next) => {
+  try {
+    const { token, password, firstName, lastName, displayName, remember } = req.body || {};
+
+    const user = await acceptInvite({
+      token: token ? String(token) : "",
+      password,
+      firstName,
+      lastName,
+      displayName,
+    });
+
+    await user.markLogin();
+    await startSession(req, res, user, Boolean(remember));
+
+    res.json({ user: userResponse(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Body: { token }
+ * Public so the link works from any device.
+ */
+router.post("/verify-email", async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) throw badRequest("token is required");
+
+    const user = await User.findOne({ "emailVerification.tokenHash": hashToken(token) }).select(
+      "+emailVerification.tokenHash +emailVerification.expiresAt",
+    );
+
+    if (!user || !user.verifyEmailWithToken(String(token))) {
+      throw badRequest("Invalid or expired verification token");
+    }
+    await user.save();
+
+    res.json({ message: "Email verified", user: userResponse(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification (protected)
+ * Issues a fresh verification token for the current user.
+ */
+router.post("/resend-verification", requireAuth, async (req, res, next) => {
+  try {
+    const user = req.user;
+    if (user.isEmailVerified) {
+      return res.json({ message: "Email is already verified" });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
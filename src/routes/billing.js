@@ -0,0 +1,41 @@
+// routes/billing.js
+import { Router } from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { resolveTenantWith } from "../middleware/resolveTenant.js";
+import requirePermission from "../middleware/requirePermission.js";
+import { SIGNATURE_HEADER } from "../utils/webhookSignature.js";
+import { getUsage, handleBillingWebhook } from "../services/billingService.js";
+
+const router = Router();
+
+/**
+ * POST /api/billing/webhook
+ * Public, called by the payment provider. Signed with BILLING_WEBHOOK_SECRET
+ * (header X-Billing-Signature: t=<unix>,v1=<hex hmac>); see scripts/billing-webhook-stub.js.
+ */
+router.post("/webhook", async (req, res, next) => {
+  try {
+    const result = await handleBillingWebhook({
+      rawBody: req.rawBody ? req.rawBody.toString("utf8") : undefined,
+      signature: req.get(SIGNATURE_HEADER),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/billing/usage
+ * requires business.manage; plan, limits and current usage.
+ * Reachable while suspended / after the trial so owners can pick a plan.
+ */
+router.get("/usage", requireAuth, resolveTenantWith({ allowReadOnly: true }), requirePermission("business.manage"), async (req, res, next) => {
+  try {
+    res.json(await getUsage({ businessId: req.businessId }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+// routes/business.js
+import { Router } from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import resolveTenant, { resolveTenantWith } from "../middleware/resolveTenant.js";
+import requirePermission from "../middleware/requirePermission.js";
+import requireRole from "../middleware/requireRole.js";
+import {
+  describeBusiness,
+  updateBusiness,
+  deleteBusiness,
+  restoreBusiness,
+  checkSlugAvailability,
+  changeBusinessSlug,
+} from "../services/businessService.js";
+import {
+  getOwnershipTransfer,
+  requestOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+} from "../services/ownershipService.js";
+
+const router = Router();
+
+/**
+ * POST /api/business/restore
+ * owner only; undoes a deletion during the grace period
+ * (registered before the router-wide resolveTenant, which rejects deleted tenants)
+ */
+const restoreTenant = resolveTenantWith({ allowDeleted: true, allowReadOnly: true });
+
+router.post("/restore", requireAuth, restoreTenant, requireRole("owner"), async (req, res, next) => {
+  try {
+    const business = await restoreBusiness({ businessId: req.businessId, actor: req.user, ip: req.ip });
+    res.json(describeBusiness({ business, actor: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/business
+ * owner only; works while suspended / after the trial ended
+ * Body: { password }
+ */
+router.delete("/", requireAuth, resolveTenantWith({ allowReadOnly: true }), requireRole("owner"), async (req, res, next) => {
+  try {
+    const result = await deleteBusiness({
+      businessId: req.businessId,
+      actor: req.user,
+      password: req.body?.password,
+      ip: req.ip,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant);
+
+/**
+ * GET /api/business
+ * Everyone: name, branding, modules, time zone, week start.
+ * business.manage: the full settings document.
+ */
+router.get("/", (req, res) => {
+  res.json(describeBusiness({ business: req.business, actor: req.user }));
+});
+
+/**
+ * PATCH /api/business
+ * requires business.manage (owners by default)
+ * Body: any subset of { name, industry, contactEmail, contactPhone, address, branding, modules,
+ *   settings: { timezone, timeTracking, scheduling, inventory, security } }
+ */
+router.patch("/", requirePermission("business.manage"), async (req, res, next) => {
+  try {
+    const { business, changes } = await updateBusiness({
+      businessId: req.businessId,
+      actor: req.user,
+      updates: req.body || {},
+      ip: req.ip,
+    });
+    res.json({ business, changes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/business/slug-availability?slug=
+ * owner only; { slug, available, reason? }
+ */
+router.get("/slug-availability", requireRole("owner"), async (req, res, next) => {
+  try {
+    res.json(await checkSlugAvailability({ businessId: req.businessId, slug: req.query.slug }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/business/slug
+ * owner only; the old slug keeps resolving (login, public page) for a while
+ * Body: { slug }
+ */
+router.put("/slug", requireRole("owner"), async (req, res, next) => {
+  try {
+    const business = await changeBusinessSlug({
+      businessId: req.businessId,
+      actor: req.user,
+      slug: req.body?.slug,
+      ip: req.ip,
+    });
+    res.json(describeBusiness({ business, actor: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/business/ownership-transfer
+ * The pending transfer (visible to owners and the recipient), or null
+ */
+router.get("/ownership-transfer", async (req, res, next) => {
+  try {
+    res.json(await getOwnershipTransfer({ businessId: req.businessId, actor: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/business/ownership-transfer
+ * owner only; the recipient must accept
+ * Body: { toUserId, password, previousOwnerRole?: "manager" | "employee" }
+ */
+router.post("/ownership-transfer", requireRole("owner"), async (req, res, next) => {
+  try {
+    const { toUserId, password, previousOwnerRole } = req.body || {};
+
+    const result = await requestOwnershipTransfer({
+      businessId: req.businessId,
+      actor: req.user,
+      toUserId,
+      password,
+      previousOwnerRole: previousOwnerRole || "manager",
+      ip: req.ip,
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/business/ownership-transfer
+ * Owner cancels or the recipient declines
+ */
+router.delete("/ownership-transfer", async (req, res, next) => {
+  try {
+    res.json(await cancelOwnershipTransfer({ businessId: req.businessId, actor: req.user, ip: req.ip }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/business/ownership-transfer/accept
+ * Recipient only. Both users' access tokens are invalidated by the role change;
+ * clients call /api/auth/refresh to continue with the new roles.
+ */
+router.post("/ownership-transfer/accept", async (req, res, next) => {
+  try {
+    res.json(await acceptOwnershipTransfer({ businessId: req.businessId, actor: req.user, ip: req.ip }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,215 @@
+// routes/inventory.js
+import { Router } from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requireModule from "../middleware/requireModule.js";
+import requirePermission from "../middleware/requirePermission.js";
+import {
+  listItems,
+  listCategories,
+  getItem,
+  createItem,
+  updateItem,
+  archiveItem,
+  restoreItem,
+} from "../services/inventoryService.js";
+import { recordMovement, listMovements } from "../services/stockService.js";
+
+const router = Router();
+
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant, requireModule("inventory"));
+
+// Fields accepted on create / update
+function itemFields(body = {}) {
+  const { name, sku, description, category, unit, cost, price, reorderPoint } = body;
+  return { name, sku, description, category, unit, cost, price, reorderPoint };
+}
+
+/**
+ * GET /api/inventory/items
+ * Query:
+ * - q (name / SKU / category search), category, lowStock=true
+ * - status=active|archived|all (requires inventory.manage; default active)
+ * - sort=name|sku|category|price|stockOnHand|createdAt|updatedAt (+ cost when costs are visible), "-" for descending
+ * - cursor, limit (default 25, max 100)
+ * `cost` is only included when settings.inventory.trackCost is on and the caller has inventory.viewCost.
+ * Returns { items, total, nextCursor, limit }
+ */
+router.get("/items", async (req, res, next) => {
+  try {
+    const { q, category, status, lowStock, sort, cursor, limit } = req.query;
+
+    const page = await listItems({
+      businessId: req.businessId,
+      actor: req.user,
+      q,
+      category,
+      status,
+      lowStock: String(lowStock) === "true",
+      sort,
+      cursor,
+      limit,
+    });
+
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/inventory/items/categories
+ * [{ category, count }] for active items (registered before /items/:id)
+ */
+router.get("/items/categories", async (req, res, next) => {
+  try {
+    res.json(await listCategories({ businessId: req.businessId }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/inventory/items
+ * requires inventory.manage; counts toward the plan's inventory item limit
+ * Body: { name, sku?, description?, category?, unit?, cost?, price?, reorderPoint? }
+ */
+router.post("/items", requirePermission("inventory.manage"), async (req, res, next) => {
+  try {
+    const item = await createItem({
+      businessId: req.businessId,
+      actor: req.user,
+      fields: itemFields(req.body),
+      ip: req.ip,
+    });
+    res.status(201).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/inventory/items/:id
+ * Archived items require inventory.manage
+ */
+router.get("/items/:id", async (req, res, next) => {
+  try {
+    const item = await getItem({ businessId: req.businessId, actor: req.user, itemId: req.params.id });
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/inventory/items/:id
+ * requires inventory.manage; archived items must be restored first
+ * Body: any of the POST fields (null / "" clears optional ones)
+ */
+router.patch("/items/:id", requirePermission("inventory.manage"), async (req, res, next) => {
+  try {
+    const item = await updateItem({
+      businessId: req.businessId,
+      actor: req.user,
+      itemId: req.params.id,
+      updates: itemFields(req.body),
+      ip: req.ip,
+    });
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/inventory/items/:id/archive
+ * requires inventory.manage
+ */
+router.post("/items/:id/archive", requirePermission("inventory.manage"), async (req, res, next) => {
+  try {
+    const item = await archiveItem({
+      businessId: req.businessId,
+      actor: req.user,
+      itemId: req.params.id,
+      ip: req.ip,
+    });
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/inventory/items/:id/restore
+ * requires inventory.manage; counts toward the plan's inventory item limit
+ */
+router.post("/items/:id/restore", requirePermission("inventory.manage"), async (req, res, next) => {
+  try {
+    const item = await restoreItem({
+      businessId: req.businessId,
+      actor: req.user,
+      itemId: req.params.id,
+      ip: req.ip,
+    });
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/inventory/items/:id/movements
+ * requires inventory.adjust or inventory.manage
+ * Query: type, from, to, sort=createdAt|-createdAt (default newest first), cursor, limit
+ * Returns { items, total, nextCursor, limit }
+ */
+router.get(
+  "/items/:id/movements",
+  requirePermission("inventory.adjust", "inventory.manage"),
+  async (req, res, next) => {
+    try {
+      const { type, from, to, sort, cursor, limit } = req.query;
+
+      const page = await listMovements({
+        businessId: req.businessId,
+        actor: req.user,
+        itemId: req.params.id,
+        type,
+        from,
+        to,
+        sort,
+        cursor,
+        limit,
+      });
+
+      res.json(page);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/items/:id/movements
+ * requires inventory.adjust
+ * Body: { type: receive|adjust|use|sale|return, quantity, unitCost?, reason?, note?, location?, reference?: { kind, id } }
+ * 409 ITEM_ARCHIVED for archived items; 409 INSUFFICIENT_STOCK when stock would go
+ * below 0 and settings.inventory.allowNegativeStock is off.
+ * Returns { movement, item }
+ */
+router.post("/items/:id/movements", requirePermission("inventory.adjust"), async (req, res, next) => {
+  try {
+    const result = await recordMovement({
+      businessId: req.businessId,
+      actor: req.user,
+      itemId: req.params.id,
+      body: req.body,
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
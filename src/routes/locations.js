@@ -0,0 +1,139 @@
+// routes/locations.js
+import { Router } from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requirePermission from "../middleware/requirePermission.js";
+import {
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  archiveLocation,
+  restoreLocation,
+} from "../services/locationService.js";
+
+const router = Router();
+
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant);
+
+/**
+ * GET /api/locations
+ * Query:
+ * - q (name search)
+ * - status=active|archived|all (requires locations.manage; default active)
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { q, status } = req.query;
+    const locations = await listLocations({ businessId: req.businessId, actor: req.user, q, status });
+    res.json(locations);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/locations
+ * requires locations.manage; counts toward the plan's location limit
+ * Body: { name, address?: { line1, line2?, city, province?, postalCode?, country } }
+ */
+router.post("/", requirePermission("locations.manage"), async (req, res, next) => {
+  try {
+    const { name, address } = req.body || {};
+
+    const location = await createLocation({
+      businessId: req.businessId,
+      actor: req.user,
+      name,
+      address,
+      ip: req.ip,
+    });
+
+    res.status(201).json(location);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/locations/:id
+ * Archived locations require locations.manage
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const location = await getLocation({ businessId: req.businessId, actor: req.user, locationId: req.params.id });
+    res.json(location);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/locations/:id
+ * requires locations.manage
+ * Body: { name?, address? } (address: null clears it)
+ */
+router.patch("/:id", requirePermission("locations.manage"), async (req, res, next) => {
+  try {
+    const { name, address } = req.body || {};
+
+    const location = await updateLocation({
+      businessId: req.businessId,
+      actor: req.user,
+      locationId: req.params.id,
+      updates: { name, address },
+      ip: req.ip,
+    });
+
+    res.json(location);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/locations/:id/archive
+ * requires locations.manage
+ * Body: { shifts?: "cancel" | "reassign", toLocationId? }
+ * Required when the location has upcoming published shifts (409 otherwise);
+ * applies to its upcoming draft shifts as well.
+ */
+router.post("/:id/archive", requirePermission("locations.manage"), async (req, res, next) => {
+  try {
+    const { shifts, toLocationId } = req.body || {};
+
+    const result = await archiveLocation({
+      businessId: req.businessId,
+      actor: req.user,
+      locationId: req.params.id,
+      shifts,
+      toLocationId,
+      ip: req.ip,
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/locations/:id/restore
+ * requires locations.manage; counts toward the plan's location limit
+ */
+router.post("/:id/restore", requirePermission("locations.manage"), async (req, res, next) => {
+  try {
+    const location = await restoreLocation({
+      businessId: req.businessId,
+      actor: req.user,
+      locationId: req.params.id,
+      ip: req.ip,
+    });
+    res.json(location);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
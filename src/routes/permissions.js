@@ -0,0 +1,84 @@
+// routes/permissions.js
+import { Router } from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requireRole from "../middleware/requireRole.js";
+import {
+  describePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  setUserPermissions,
+} from "../services/permissionService.js";
+
+const router = Router();
+
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant);
+
+/**
+ * GET /api/permissions
+ * Catalogue, this business's role mappings and my effective permissions
+ */
+router.get("/", (req, res) => {
+  res.json(describePermissions({ business: req.business, actor: req.user }));
+});
+
+/**
+ * PUT /api/permissions/roles/:role
+ * owner only; role = manager|employee
+ * Body: { permissions: string[] }
+ */
+router.put("/roles/:role", requireRole("owner"), async (req, res, next) => {
+  try {
+    const result = await setRolePermissions({
+      businessId: req.businessId,
+      actor: req.user,
+      role: req.params.role,
+      permissions: req.body?.permissions,
+      ip: req.ip,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/permissions/roles/:role
+ * owner only; back to the built-in defaults
+ */
+router.delete("/roles/:role", requireRole("owner"), async (req, res, next) => {
+  try {
+    const result = await resetRolePermissions({
+      businessId: req.businessId,
+      actor: req.user,
+      role: req.params.role,
+      ip: req.ip,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/permissions/users/:userId
+ * owner only; individual grants on top of the user's role (400 for owners, who have every permission)
+ * Body: { permissions: string[] }
+ */
+router.put("/users/:userId", requireRole("owner"), async (req, res, next) => {
+  try {
+    const user = await setUserPermissions({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.userId,
+      permissions: req.body?.permissions,
+      ip: req.ip,
+    });
+    res.json({ _id: user._id, permissions: user.permissions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,24 @@
+// routes/public.js
+// Unauthenticated lookups for front ends (e.g. a branded login page).
+import { Router } from "express";
+import rateLimit from "../middleware/rateLimit.js";
+import { getPublicBusiness } from "../services/businessService.js";
+
+const router = Router();
+
+router.use(rateLimit({ windowMs: 60 * 1000, max: Number(process.env.PUBLIC_RATE_LIMIT_PER_MINUTE || 60) }));
+
+/**
+ * GET /api/public/businesses/:slug
+ * { name, slug, branding: { logoUrl, primaryColor } }; old slugs resolve to the
+ * current one. 404 for unknown, suspended and deleted businesses.
+ */
+router.get("/businesses/:slug", async (req, res, next) => {
+  try {
+    res.json({ business: await getPublicBusiness(req.params.slug) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,7 +1,10 @@
 // src/routes/shifts.js
 import { Router } from "express";
 import requireAuth from "../middleware/requireAuth.js";
-import requireRole from "../middleware/requireRole.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requireModule from "../middleware/requireModule.js";
+import requirePermission from "../middleware/requirePermission.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
 import {
   createShift,
   updateShift,
@@ -15,17 +18,22 @@ import {
 
 const router = Router();
 
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant, requireModule("scheduling"));
+
 /**
  * GET /api/shifts
  * Query:
  * - from, to (ISO)
- * - userId (manager/owner)
- * - status=draft|published|canceled (manager/owner)
- * - mine=true (manager/owner)
+ * - userId (requires shifts.viewAll)
+ * - status=draft|published|canceled (requires shifts.viewAll)
+ * - locationId
+ * - mine=true (requires shifts.viewAll)
+ * Managers assigned to locations only see those locations' shifts (plus their own).
  */
-router.get("/", requireAuth, async (req, res, next) => {
+router.get("/", async (req, res, next) => {
   try {
-    const { from, to, userId, status, mine, includeOpen } = req.query;
+    const { from, to, userId, status, locationId, mine, includeOpen } = req.query;
 
     const shifts = await listShifts({
       businessId: req.businessId,
@@ -34,6 +42,7 @@ router.get("/", requireAuth, async (req, res, next) => {
       to: to || undefined,
       userId: userId || undefined,
       status: status || undefined,
+      locationId: locationId || undefined,
       mine: String(mine) === "true",
       includeOpen: includeOpen === undefined ? true : String(includeOpen) === "true",
     });
@@ -46,10 +55,10 @@ router.get("/", requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/shifts
- * manager/owner only
+ * requires shifts.manage
  * Body: { userId?, locationId?, startAt, endAt, roleTag?, notes? }
  */
-router.post("/", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/", requirePermission("shifts.manage"), async (req, res, next) => {
   try {
     const { userId, locationId, startAt, endAt, roleTag, notes } = req.body || {};
 
@@ -72,9 +81,9 @@ router.post("/", requireAuth, requireRole("manager", "owner"), async (req, res,
 
 /**
  * PATCH /api/shifts/:id
- * manager/owner only
+ * requires shifts.manage
  */
-router.patch("/:id", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.patch("/:id", requirePermission("shifts.manage"), async (req, res, next) => {
   try {
     const { userId, locationId, startAt, endAt, roleTag, notes } = req.body || {};
 
@@ -98,9 +107,9 @@ router.patch("/:id", requireAuth, requireRole("manager", "owner"), async (req, r
 
 /**
  * POST /api/shifts/:id/publish
- * manager/owner only
+ * requires shifts.publish
  */
-router.post("/:id/publish", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/publish", requirePermission("shifts.publish"), requireVerifiedEmail("shifts.publish"), async (req, res, next) => {
   try {
     const shift = await publishShift({
       businessId: req.businessId,
@@ -115,9 +124,9 @@ router.post("/:id/publish", requireAuth, requireRole("manager", "owner"), async
 
 /**
  * POST /api/shifts/:id/cancel
- * manager/owner only
+ * requires shifts.manage
  */
-router.post("/:id/cancel", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/cancel", requirePermission("shifts.manage"), async (req, res, next) => {
   try {
     const shift = await cancelShift({
       businessId: req.businessId,
@@ -132,10 +141,10 @@ router.post("/:id/cancel", requireAuth, requireRole("manager", "owner"), async (
 
 /**
  * POST /api/shifts/:id/assign
- * manager/owner only
+ * requires shifts.manage
  * Body: { userId }
  */
-router.post("/:id/assign", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/assign", requirePermission("shifts.manage"), async (req, res, next) => {
   try {
     const { userId } = req.body || {};
     const shift = await assignShift({
@@ -152,9 +161,9 @@ router.post("/:id/assign", requireAuth, requireRole("manager", "owner"), async (
 
 /**
  * POST /api/shifts/:id/unassign
- * manager/owner only
+ * requires shifts.manage
  */
-router.post("/:id/unassign", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/unassign", requirePermission("shifts.manage"), async (req, res, next) => {
   try {
     const shift = await unassignShift({
       businessId: req.businessId,
@@ -170,7 +179,7 @@ router.post("/:id/unassign", requireAuth, requireRole("manager", "owner"), async
 /**
  * GET /api/shifts/:id
  */
-router.get("/:id", requireAuth, async (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
   try {
     const shift = await getShift({
       businessId: req.businessId,
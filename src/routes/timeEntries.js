@@ -1,7 +1,10 @@
 // routes/timeEntries.js
 import { Router } from "express";
 import requireAuth from "../middleware/requireAuth.js";
-import requireRole from "../middleware/requireRole.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requireModule from "../middleware/requireModule.js";
+import requirePermission from "../middleware/requirePermission.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
 import {
   createManualTimeEntry,
   updateManualTimeEntry,
@@ -19,12 +22,16 @@ import {
 
 const router = Router();
 
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant, requireModule("timeTracking"));
+
 /**
  * GET /api/time-entries/pending
- * manager/owner only
+ * requires timeEntries.approve
  * Query: from=YYYY-MM-DD&to=YYYY-MM-DD&userId=...
+ * Managers assigned to locations only see entries for their locations' staff.
  */
-router.get("/pending", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.get("/pending", requirePermission("timeEntries.approve"), async (req, res, next) => {
   try {
     const { from, to, userId } = req.query;
     const entries = await listPendingTimeEntries({
@@ -44,10 +51,10 @@ router.get("/pending", requireAuth, requireRole("manager", "owner"), async (req,
  * GET /api/time-entries/summary
  * Query:
  * - mine=true (employee)
- * - userId=... (manager/owner)
+ * - userId=... (requires timeEntries.viewAll)
  * - from=YYYY-MM-DD&to=YYYY-MM-DD
  */
-router.get("/summary", requireAuth, async (req, res, next) => {
+router.get("/summary", async (req, res, next) => {
   try {
     const { mine, userId, from, to } = req.query;
 
@@ -68,10 +75,10 @@ router.get("/summary", requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/time-entries/bulk/approve
- * manager/owner only
+ * requires timeEntries.approve
  * Body: { entryIds: string[] }
  */
-router.post("/bulk/approve", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/bulk/approve", requirePermission("timeEntries.approve"), requireVerifiedEmail("timeEntries.approve"), async (req, res, next) => {
   try {
     const { entryIds } = req.body || {};
     const result = await bulkApproveTimeEntries({
@@ -87,10 +94,10 @@ router.post("/bulk/approve", requireAuth, requireRole("manager", "owner"), async
 
 /**
  * POST /api/time-entries/bulk/reject
- * manager/owner only
+ * requires timeEntries.approve
  * Body: { entryIds: string[], reason: string }
  */
-router.post("/bulk/reject", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/bulk/reject", requirePermission("timeEntries.approve"), requireVerifiedEmail("timeEntries.approve"), async (req, res, next) => {
   try {
     const { entryIds, reason } = req.body || {};
     const result = await bulkRejectTimeEntries({
@@ -109,14 +116,15 @@ router.post("/bulk/reject", requireAuth, requireRole("manager", "owner"), async
  * GET /api/time-entries
  * Query:
  * - mine=true
- * - userId=... (manager/owner)
+ * - userId=... (requires timeEntries.viewAll)
  * - from=YYYY-MM-DD
  * - to=YYYY-MM-DD
  * - status=draft|submitted|approved|rejected|void
+ * - locationId
  */
-router.get("/", requireAuth, async (req, res, next) => {
+router.get("/", async (req, res, next) => {
   try {
-    const { userId, from, to, status, mine } = req.query;
+    const { userId, from, to, status, locationId, mine } = req.query;
 
     const entries = await listTimeEntries({
       businessId: req.businessId,
@@ -125,6 +133,7 @@ router.get("/", requireAuth, async (req, res, next) => {
       from: from || undefined,
       to: to || undefined,
       status: status || undefined,
+      locationId: locationId || undefined,
       mine: String(mine) === "true",
     });
 
@@ -138,7 +147,7 @@ router.get("/", requireAuth, async (req, res, next) => {
  * POST /api/time-entries
  * Body: { workDate, startTime, endTime, breakMinutes?, notes?, locationId?, targetUserId? }
  */
-router.post("/", requireAuth, async (req, res, next) => {
+router.post("/", async (req, res, next) => {
   try {
     const { workDate, startTime, endTime, breakMinutes, notes, locationId, targetUserId } = req.body || {};
 
@@ -163,7 +172,7 @@ router.post("/", requireAuth, async (req, res, next) => {
 /**
  * POST /api/time-entries/:id/submit
  */
-router.post("/:id/submit", requireAuth, async (req, res, next) => {
+router.post("/:id/submit", async (req, res, next) => {
   try {
     const entry = await submitTimeEntry({
       businessId: req.businessId,
@@ -179,7 +188,7 @@ router.post("/:id/submit", requireAuth, async (req, res, next) => {
 /**
  * POST /api/time-entries/:id/approve (single)
  */
-router.post("/:id/approve", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/approve", requirePermission("timeEntries.approve"), requireVerifiedEmail("timeEntries.approve"), async (req, res, next) => {
   try {
     const entry = await approveTimeEntry({
       businessId: req.businessId,
@@ -196,7 +205,7 @@ router.post("/:id/approve", requireAuth, requireRole("manager", "owner"), async
  * POST /api/time-entries/:id/reject (single)
  * Body: { reason }
  */
-router.post("/:id/reject", requireAuth, requireRole("manager", "owner"), async (req, res, next) => {
+router.post("/:id/reject", requirePermission("timeEntries.approve"), requireVerifiedEmail("timeEntries.approve"), async (req, res, next) => {
   try {
     const { reason } = req.body || {};
     const entry = await rejectTimeEntry({
@@ -214,7 +223,7 @@ router.post("/:id/reject", requireAuth, requireRole("manager", "owner"), async (
 /**
  * POST /api/time-entries/:id/void
  */
-router.post("/:id/void", requireAuth, async (req, res, next) => {
+router.post("/:id/void", async (req, res, next) => {
   try {
     const entry = await voidTimeEntry({
       businessId: req.businessId,
@@ -230,7 +239,7 @@ router.post("/:id/void", requireAuth, async (req, res, next) => {
 /**
  * PATCH /api/time-entries/:id
  */
-router.patch("/:id", requireAuth, async (req, res, next) => {
+router.patch("/:id", async (req, res, next) => {
   try {
     const { workDate, startTime, endTime, breakMinutes, notes, locationId } = req.body || {};
 
@@ -256,7 +265,7 @@ router.patch("/:id", requireAuth, async (req, res, next) => {
  * GET /api/time-entries/:id
  * keep LAST
  */
-router.get("/:id", requireAuth, async (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
   try {
     const entry = await getTimeEntry({
       businessId: req.businessId,
@@ -1,18 +1,415 @@
-import { Router } from "express";
-import User from "../models/User.js";
+import express, { Router } from "express";
 import requireAuth from "../middleware/requireAuth.js";
+import resolveTenant from "../middleware/resolveTenant.js";
+import requireRole from "../middleware/requireRole.js";
+import requirePermission from "../middleware/requirePermission.js";
+import requireVerifiedEmail, { assertVerifiedEmailFor } from "../middleware/requireVerifiedEmail.js";
+import { startSession } from "../utils/authCookies.js";
+import { redactUser } from "../utils/userVisibility.js";
+import { inviteUser, resendInvite, cancelInvite } from "../services/invitationService.js";
+import {
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  changeUserRole,
+  setUserLocations,
+  disableUser,
+  enableUser,
+  deleteUser,
+  unlockUser,
+  updateOwnProfile,
+  changeOwnPassword,
+} from "../services/userService.js";
+import { importUsersCsv, exportUsersCsv } from "../services/userCsvService.js";
 
 const router = Router();
 
-router.get("/", requireAuth, async (req, res, next) => {
+// All routes below: authenticated + tenant-scoped
+router.use(requireAuth, resolveTenant);
+
+/**
+ * GET /api/users
+ * Query:
+ * - q (name search; + email with users.viewContact, + employee code with users.manage)
+ * - role, status (comma-separated; status requires users.manage)
+ * - jobTitle, locationId (require users.viewContact)
+ * - sort=name|firstName|role (+ email with users.viewContact, + status|createdAt|lastSeenAt
+ *   with users.manage), "-" for descending
+ * - cursor, limit (default 25, max 100)
+ * Returns { items, total, nextCursor, limit }; which user fields are included depends
+ * on the caller's permissions (utils/userVisibility.js)
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { q, role, status, jobTitle, locationId, sort, cursor, limit } = req.query;
+
+    const page = await listUsers({
+      businessId: req.businessId,
+      actor: req.user,
+      q,
+      role,
+      status,
+      jobTitle,
+      locationId,
+      sort,
+      cursor,
+      limit,
+    });
+
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/users/export
+ * requires users.manage; CSV of the directory (same filters as GET /api/users).
+ * Pay columns are included with users.viewPay.
+ */
+router.get("/export", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const { q, role, status, jobTitle, locationId } = req.query;
+
+    const csv = await exportUsersCsv({
+      businessId: req.businessId,
+      actor: req.user,
+      filters: { q, role, status, jobTitle, locationId },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="users-${date}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/import?dryRun=false&sendInvites=true
+ * requires users.manage (+ users.invite for sendInvites, users.viewPay for pay columns)
+ * dryRun defaults to true: pass dryRun=false to write. sendInvites follows the
+ * business's verified-email policy for users.invite.
+ * Body: the CSV (Content-Type: text/csv), or JSON { csv, dryRun?, sendInvites? }
+ * Columns: firstName, lastName (or name), displayName, email, role, phone,
+ *   employeeCode, jobTitle, payType, hourlyRate, startDate
+ */
+router.post(
+  "/import",
+  requirePermission("users.manage"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res, next) => {
+    try {
+      const body = typeof req.body === "string" ? { csv: req.body } : req.body || {};
+      const flag = (value, fallback) => (value === undefined || value === "" ? fallback : String(value) === "true");
+
+      const dryRun = flag(req.query.dryRun ?? body.dryRun, true);
+      const sendInvites = flag(req.query.sendInvites ?? body.sendInvites, false);
+      if (sendInvites) assertVerifiedEmailFor(req.business, req.user, "users.invite");
+
+      const result = await importUsersCsv({
+        businessId: req.businessId,
+        actor: req.user,
+        csv: body.csv,
+        dryRun,
+        sendInvites,
+        ip: req.ip,
+      });
+
+      res.status(result.dryRun || result.summary.created === 0 ? 200 : 201).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/users/me
+ * (registered before /:id)
+ */
+router.get("/me", async (req, res) => {
+  res.json({ user: req.user, permissions: req.user.$locals.permissions });
+});
+
+/**
+ * PATCH /api/users/me
+ * Body (all optional): { firstName, lastName, displayName, phone, avatarUrl,
+ *   preferences: { timezone, weekStartsOn, notifications: { email } },
+ *   employeeMeta: { emergencyContact: { name, phone, relationship } },
+ *   availability: { weekly: [{ dayOfWeek, ranges: [{ start: "09:00", end: "17:00" }] }] } }
+ * Role, status, pay and other fields are rejected with 400.
+ */
+router.patch("/me", async (req, res, next) => {
   try {
-    const users = await User.find()
-      .byBusiness(req.businessId)
-      .notDeleted()
-      .select(User.safePublicFields().join(" "))
-      .sort({ createdAt: -1 });
+    const user = await updateOwnProfile({ user: req.user, updates: req.body || {} });
+    res.json({ user });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json(users);
+/**
+ * POST /api/users/me/password
+ * Body: { currentPassword, newPassword }
+ * Signs out every other session; this device gets a fresh one.
+ * Wrong current passwords are throttled per user (429).
+ */
+router.post("/me/password", async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    const result = await changeOwnPassword({
+      user: req.user,
+      sessionId: req.auth?.sid,
+      currentPassword,
+      newPassword,
+      ip: req.ip,
+    });
+    await startSession(req, res, result.user, result.remember, { linkedUsers: result.linkedUsers });
+
+    res.json({ message: "Password has been changed." });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users
+ * requires users.manage (managers cannot create owners); pay fields require users.viewPay
+ * Body: { email, password, role?, firstName?, lastName?, displayName?, phone?, avatarUrl?, employeeMeta? }
+ */
+router.post("/", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const { email, password, role, firstName, lastName, displayName, phone, avatarUrl, employeeMeta } = req.body || {};
+
+    const user = await createUser({
+      businessId: req.businessId,
+      actor: req.user,
+      email,
+      password,
+      role: role || "employee",
+      firstName,
+      lastName,
+      displayName,
+      phone,
+      avatarUrl,
+      employeeMeta,
+      ip: req.ip,
+    });
+
+    res.status(201).json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/invite
+ * requires users.invite (managers cannot invite owners)
+ * Body: { email, role?, firstName?, lastName?, displayName?, jobTitle? }
+ */
+router.post("/invite", requirePermission("users.invite"), requireVerifiedEmail("users.invite"), async (req, res, next) => {
+  try {
+    const { email, role, firstName, lastName, displayName, jobTitle } = req.body || {};
+
+    const user = await inviteUser({
+      businessId: req.businessId,
+      actor: req.user,
+      email,
+      role: role || "employee",
+      firstName,
+      lastName,
+      displayName,
+      jobTitle,
+    });
+
+    res.status(201).json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/:id/invite/resend
+ * requires users.invite; issues a fresh token (old link stops working)
+ */
+router.post("/:id/invite/resend", requirePermission("users.invite"), async (req, res, next) => {
+  try {
+    const user = await resendInvite({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/invite
+ * requires users.invite; removes the pending invited user
+ */
+router.delete("/:id/invite", requirePermission("users.invite"), async (req, res, next) => {
+  try {
+    const result = await cancelInvite({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/users/:id
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const user = await getUser({ businessId: req.businessId, actor: req.user, userId: req.params.id });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * requires users.manage (managers cannot edit owners); pay fields require users.viewPay
+ * Body: { firstName?, lastName?, displayName?, phone?, avatarUrl?, employeeMeta? }
+ */
+router.patch("/:id", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const { firstName, lastName, displayName, phone, avatarUrl, employeeMeta } = req.body || {};
+
+    const user = await updateUser({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      updates: { firstName, lastName, displayName, phone, avatarUrl, employeeMeta },
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * requires users.manage; the last owner cannot be demoted
+ * Body: { role }
+ */
+router.put("/:id/role", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const user = await changeUserRole({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      role: req.body?.role,
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/users/:id/locations
+ * requires users.manage; location-scoped managers can only assign their own locations
+ * Body: { locations: [locationId], homeLocation? } (homeLocation defaults to the first)
+ */
+router.put("/:id/locations", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const { locations, homeLocation } = req.body || {};
+
+    const user = await setUserLocations({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      locations,
+      homeLocation,
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/:id/disable
+ * requires users.manage; signs the user out everywhere
+ */
+router.post("/:id/disable", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const user = await disableUser({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/:id/enable
+ * requires users.manage
+ */
+router.post("/:id/enable", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const user = await enableUser({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * requires users.manage; soft delete. Future draft shifts are canceled and
+ * future published shifts are unassigned.
+ */
+router.delete("/:id", requirePermission("users.manage"), async (req, res, next) => {
+  try {
+    const result = await deleteUser({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      ip: req.ip,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * owner only; lifts a failed-login lockout
+ */
+router.post("/:id/unlock", requireRole("owner"), async (req, res, next) => {
+  try {
+    const user = await unlockUser({
+      businessId: req.businessId,
+      actor: req.user,
+      userId: req.params.id,
+      ip: req.ip,
+    });
+    res.json({ user: redactUser(user, req.user) });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,23 @@
+// services/auditService.js
+import AuditEvent from "../models/AuditEvent.js";
+
+/**
+ * Append an audit event. `actor` may be a user doc, an id, or null (system).
+ * `target` is { kind, id }.
+ */
+export async function recordAuditEvent({ businessId, actor = null, action, target = {}, meta, ip, session }) {
+  const [event] = await AuditEvent.create(
+    [
+      {
+        business: businessId,
+        actor: actor?._id || actor || null,
+        action,
+        target: { kind: target.kind, id: target.id },
+        meta,
+        ip: ip || undefined,
+      },
+    ],
+    session ? { session } : undefined
+  );
+  return event;
+}
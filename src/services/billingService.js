@@ -0,0 +1,168 @@
+// services/billingService.js
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import User from "../models/User.js";
+import Location from "../models/Location.js";
+import InventoryItem from "../models/InventoryItem.js";
+import { badRequest, notFound, paymentRequired, unauthorized } from "../utils/httpError.js";
+import { PLANS, PLAN_KEYS, getPlan } from "../utils/plans.js";
+import { verifySignature } from "../utils/webhookSignature.js";
+import { recordAuditEvent } from "./auditService.js";
+
+// Invited users hold a seat too: accepting the invite must not push the business over
+const SEAT_STATUSES = ["active", "invited"];
+const SUBSCRIPTION_STATUSES = ["trialing", "active", "past_due", "canceled"];
+const HANDLED_EVENTS = ["subscription.created", "subscription.updated", "subscription.canceled"];
+
+const RESOURCES = {
+  users: {
+    label: "active users",
+    count: (businessId) => User.countDocuments({ business: businessId, status: { $in: SEAT_STATUSES } }),
+  },
+  locations: {
+    label: "locations",
+    count: (businessId) => Location.countDocuments({ business: businessId, status: "active" }),
+  },
+  inventoryItems: {
+    label: "inventory items",
+    count: (businessId) => InventoryItem.countDocuments({ business: businessId, status: "active" }),
+  },
+};
+
+async function loadBusiness(businessId) {
+  const business = await Business.findById(businessId).select("subscription modules status trialEndsAt");
+  if (!business) throw notFound("Business not found");
+  return business;
+}
+
+/**
+ * Throws 402 PLAN_LIMIT_REACHED when adding `adding` more of `resource`
+ * (users | locations | inventoryItems) would exceed the business's plan.
+ */
+export async function assertWithinPlanLimit({ businessId, resource, adding = 1 }) {
+  const business = await loadBusiness(businessId);
+  const plan = getPlan(business);
+  const limit = plan.limits[resource];
+  if (limit === null || limit === undefined) return;
+
+  const used = await RESOURCES[resource].count(businessId);
+  if (used + adding > limit) {
+    throw paymentRequired(`The ${plan.name} plan allows up to ${limit} ${RESOURCES[resource].label}`, {
+      code: "PLAN_LIMIT_REACHED",
+      plan: plan.key,
+      resource,
+      limit,
+      used,
+    });
+  }
+}
+
+/**
+ * Plan, limits and current usage for the usage endpoint.
+ */
+export async function getUsage({ businessId }) {
+  const business = await loadBusiness(businessId);
+  const plan = getPlan(business);
+
+  const usage = {};
+  for (const [resource, { count }] of Object.entries(RESOURCES)) {
+    // eslint-disable-next-line no-await-in-loop
+    const used = await count(businessId);
+    const limit = plan.limits[resource];
+    usage[resource] = { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) };
+  }
+
+  return {
+    plan: { key: plan.key, name: plan.name, modules: plan.modules },
+    subscription: {
+      status: business.subscription?.status,
+      renewalAt: business.subscription?.renewalAt,
+    },
+    trialEndsAt: business.trialEndsAt,
+    usage,
+    plans: PLAN_KEYS.map((key) => ({ key, ...PLANS[key] })),
+  };
+}
+
+function eventTime(createdAt) {
+  // Accept unix seconds or an ISO string
+  const dt = typeof createdAt === "number" ? new Date(createdAt * 1000) : new Date(createdAt);
+  return Number.isNaN(dt.getTime()) ? null : dt;
+}
+
+async function findBusinessForEvent(data) {
+  if (data.businessId && mongoose.isValidObjectId(data.businessId)) {
+    const business = await Business.findById(data.businessId);
+    if (business) return business;
+  }
+  if (data.customerId) {
+    return Business.findOne({ "subscription.customerId": String(data.customerId) });
+  }
+  return null;
+}
+
+/**
+ * Entry point for POST /api/billing/webhook.
+ * Event shape: { id, type, createdAt, data: { businessId | customerId, plan, status, renewalAt, subscriptionId } }
+ * Duplicate and out-of-order events are acknowledged but ignored.
+ */
+export async function handleBillingWebhook({ rawBody, signature }) {
+  if (!verifySignature(rawBody, signature, { secret: process.env.BILLING_WEBHOOK_SECRET })) {
+    throw unauthorized("Invalid webhook signature");
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch {
+    throw badRequest("Invalid JSON payload");
+  }
+
+  const { id, type, data } = event || {};
+  const createdAt = eventTime(event?.createdAt);
+  if (!id || !type || !data || !createdAt) throw badRequest("Event must include id, type, createdAt and data");
+
+  if (!HANDLED_EVENTS.includes(type)) return { received: true, ignored: "unhandled_type" };
+
+  const business = await findBusinessForEvent(data);
+  if (!business) throw notFound("No business matches this event");
+
+  const sub = business.subscription || {};
+  if (sub.lastEventId === String(id)) return { received: true, ignored: "duplicate" };
+  if (sub.lastEventAt && createdAt < sub.lastEventAt) return { received: true, ignored: "stale" };
+
+  const canceled = type === "subscription.canceled";
+  const plan = canceled ? "free" : data.plan;
+  const status = canceled ? "canceled" : data.status;
+
+  if (!PLAN_KEYS.includes(plan)) throw badRequest(`Unknown plan "${plan}"`);
+  if (!SUBSCRIPTION_STATUSES.includes(status)) throw badRequest(`Unknown subscription status "${status}"`);
+
+  const previous = { plan: sub.plan, status: sub.status };
+
+  business.set({
+    "subscription.plan": plan,
+    "subscription.status": status,
+    "subscription.lastEventId": String(id),
+    "subscription.lastEventAt": createdAt,
+  });
+  if (data.renewalAt !== undefined) {
+    business.set("subscription.renewalAt", data.renewalAt ? eventTime(data.renewalAt) : undefined);
+  }
+  if (data.customerId) business.set("subscription.customerId", String(data.customerId));
+  if (data.subscriptionId) business.set("subscription.subscriptionId", String(data.subscriptionId));
+
+  // A paid subscription ends the trial
+  if (status === "active" && business.status === "trial") business.status = "active";
+
+  await business.save();
+
+  await recordAuditEvent({
+    businessId: business._id,
+    action: "billing.subscription_updated",
+    target: { kind: "Business", id: business._id },
+    meta: { eventId: String(id), type, from: previous, to: { plan, status } },
+  });
+
+  return { received: true };
+}
@@ -0,0 +1,470 @@
+// services/businessService.js
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import User from "../models/User.js";
+import SlugRedirect from "../models/SlugRedirect.js";
+import { badRequest, conflict, notFound } from "../utils/httpError.js";
+import { hasPermission } from "../utils/permissions.js";
+import { planIncludesModule } from "../utils/plans.js";
+import { isValidTimeZone, isHexColor, isHttpUrl } from "../utils/validation.js";
+import { recordAuditEvent } from "./auditService.js";
+import { EMAIL_REGEX } from "./invitationService.js";
+
+// --- Field validators: return the value to store, or throw Error(message) ---
+// Empty strings / null clear optional fields.
+
+function text(max, { required = false } = {}) {
+  return (v) => {
+    if (v === null || v === "") {
+      if (required) throw new Error("is required");
+      return undefined;
+    }
+    if (typeof v !== "string") throw new Error("must be a string");
+    const trimmed = v.trim();
+    if (required && !trimmed) throw new Error("is required");
+    if (trimmed.length > max) throw new Error(`must be at most ${max} characters`);
+    return trimmed || undefined;
+  };
+}
+
+function integer(min, max) {
+  return (v) => {
+    if (!Number.isInteger(v) || v < min || v > max) throw new Error(`must be an integer from ${min} to ${max}`);
+    return v;
+  };
+}
+
+function number(min) {
+  return (v) => {
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min) throw new Error(`must be a number >= ${min}`);
+    return v;
+  };
+}
+
+function boolean(v) {
+  if (typeof v !== "boolean") throw new Error("must be true or false");
+  return v;
+}
+
+function subsetOf(allowed) {
+  return (v) => {
+    if (!Array.isArray(v)) throw new Error("must be an array");
+    const unknown = v.filter((x) => !allowed.includes(x));
+    if (unknown.length) throw new Error(`must only contain: ${allowed.join(", ")}`);
+    return [...new Set(v)];
+  };
+}
+
+function timezone(v) {
+  if (!isValidTimeZone(v)) throw new Error("must be an IANA time zone, e.g. America/Vancouver");
+  return v;
+}
+
+function color(v) {
+  if (v === null || v === "") return undefined;
+  if (!isHexColor(v)) throw new Error('must be a hex color, e.g. "#1A73E8"');
+  return v.toUpperCase();
+}
+
+function url(v) {
+  if (v === null || v === "") return undefined;
+  if (!isHttpUrl(v) || v.length > 2048) throw new Error("must be an http(s) URL");
+  return v;
+}
+
+function email(v) {
+  if (v === null || v === "") return undefined;
+  const norm = typeof v === "string" ? v.toLowerCase().trim() : "";
+  if (!EMAIL_REGEX.test(norm) || norm.length > 320) throw new Error("must be a valid email");
+  return norm;
+}
+
+/**
+ * What PATCH /api/business may change. slug, status, subscription and role
+ * permissions have their own flows.
+ */
+const EDITABLE_FIELDS = {
+  name: text(160, { required: true }),
+  industry: text(80),
+  contactEmail: email,
+  contactPhone: text(40),
+
+  "address.line1": text(120),
+  "address.line2": text(120),
+  "address.city": text(80),
+  "address.province": text(80),
+  "address.postalCode": text(20),
+  "address.country": text(80),
+
+  "branding.logoUrl": url,
+  "branding.primaryColor": color,
+
+  "modules.timeTracking": boolean,
+  "modules.scheduling": boolean,
+  "modules.inventory": boolean,
+
+  "settings.timezone": timezone,
+  "settings.timeTracking.roundingMinutes": integer(0, 60),
+  "settings.timeTracking.requireClockOutNoteAfterHours": boolean,
+  "settings.scheduling.weekStartsOn": integer(0, 6),
+  "settings.scheduling.minShiftMinutes": integer(0, 24 * 60),
+  "settings.inventory.lowStockThresholdDefault": number(0),
+  "settings.inventory.trackCost": boolean,
+  "settings.inventory.allowNegativeStock": boolean,
+  "settings.security.requireVerifiedEmailFor": subsetOf(["shifts.publish", "timeEntries.approve", "users.invite"]),
+  "settings.security.requireTwoFactorFor": subsetOf(["owner", "manager"]),
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// { settings: { timezone: "X" } } -> { "settings.timezone": "X" }
+function flattenUpdates(obj, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && !(path in EDITABLE_FIELDS)) flattenUpdates(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELETION_GRACE_DAYS = Number(process.env.BUSINESS_DELETION_GRACE_DAYS || 30);
+const SLUG_REDIRECT_DAYS = Number(process.env.SLUG_REDIRECT_DAYS || 90);
+
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const RESERVED_SLUGS = ["admin", "api", "app", "help", "login", "public", "register", "signup", "support", "www"];
+// Statuses whose public page (GET /api/public/businesses/:slug) resolves
+const PUBLIC_STATUSES = ["active", "trial"];
+
+// What every member can see (time zone, week start, enabled modules, branding)
+function memberView(business) {
+  return {
+    _id: business._id,
+    name: business.name,
+    slug: business.slug,
+    status: business.status,
+    trialEndsAt: business.trialEndsAt,
+    industry: business.industry,
+    branding: business.branding,
+    modules: business.modules,
+    settings: {
+      timezone: business.settings?.timezone,
+      scheduling: { weekStartsOn: business.settings?.scheduling?.weekStartsOn },
+    },
+  };
+}
+
+/**
+ * Full document for users with business.manage, the read-only subset otherwise.
+ */
+export function describeBusiness({ business, actor }) {
+  if (hasPermission(actor, "business.manage")) {
+    return { business: business.toObject(), editable: true };
+  }
+  return { business: memberView(business), editable: false };
+}
+
+/**
+ * Partial update. Unknown fields and invalid values are rejected (400) with
+ * per-field details; nothing is saved unless everything validates.
+ * The audit event records { field, from, to } for every changed field.
+ */
+export async function updateBusiness({ businessId, actor, updates, ip }) {
+  if (!isPlainObject(updates)) throw badRequest("Body must be an object");
+
+  const business = await Business.findById(businessId);
+  if (!business) throw notFound("Business not found");
+
+  const flat = flattenUpdates(updates);
+  const unknown = Object.keys(flat).filter((path) => !(path in EDITABLE_FIELDS));
+  if (unknown.length) throw badRequest("These fields cannot be changed here", { fields: unknown });
+
+  const errors = {};
+  const next = {};
+  for (const [path, value] of Object.entries(flat)) {
+    try {
+      next[path] = EDITABLE_FIELDS[path](value);
+    } catch (err) {
+      errors[path] = `${path} ${err.message}`;
+    }
+  }
+  // Modules outside the plan can't be switched on
+  for (const [path, value] of Object.entries(next)) {
+    const moduleName = path.startsWith("modules.") ? path.slice("modules.".length) : null;
+    if (moduleName && value === true && !planIncludesModule(business, moduleName)) {
+      errors[path] = `${path} is not included in your plan`;
+    }
+  }
+  if (Object.keys(errors).length) throw badRequest("Invalid business settings", errors);
+
+  const changes = {};
+  for (const [path, value] of Object.entries(next)) {
+    const stored = business.get(path);
+    const previous = Array.isArray(stored) ? [...stored] : stored;
+    if (sameValue(previous, value)) continue;
+
+    changes[path] = { from: previous ?? null, to: value ?? null };
+    business.set(path, value);
+  }
+
+  if (Object.keys(changes).length === 0) return { business, changes };
+
+  await business.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.updated",
+    target: { kind: "Business", id: businessId },
+    // array form: field paths contain dots, which can't be stored as keys
+    meta: { changes: Object.entries(changes).map(([field, change]) => ({ field, ...change })) },
+    ip,
+  });
+
+  return { business, changes };
+}
+
+function normalizeSlug(value) {
+  return String(value ?? "").toLowerCase().trim();
+}
+
+// Why `slug` can't be used at all, or null
+function slugProblem(slug) {
+  if (slug.length < 3 || slug.length > 80) return "slug must be 3-80 characters";
+  if (!SLUG_REGEX.test(slug)) return "slug may only contain lowercase letters, digits and single hyphens";
+  if (RESERVED_SLUGS.includes(slug)) return "This slug is reserved";
+  return null;
+}
+
+/**
+ * The business a slug points to, following redirects left by slug changes.
+ * `select` applies to the Business query. Returns null when nothing matches.
+ */
+export async function findBusinessBySlug(slug, { select } = {}) {
+  const normalized = normalizeSlug(slug);
+  if (!normalized) return null;
+
+  const current = Business.findOne({ slug: normalized });
+  if (select) current.select(select);
+  const business = await current;
+  if (business) return business;
+
+  const redirect = await SlugRedirect.findOne({ slug: normalized, expiresAt: { $gt: new Date() } })
+    .select("business")
+    .lean();
+  if (!redirect) return null;
+
+  const target = Business.findById(redirect.business);
+  if (select) target.select(select);
+  return target;
+}
+
+/**
+ * Branding for the login page of a tenant; 404 unless the business is active or
+ * in its trial. `slug` in the response is the current one (it differs after a rename).
+ */
+export async function getPublicBusiness(slug) {
+  const business = await findBusinessBySlug(slug, { select: "name slug status branding" });
+  if (!business || !PUBLIC_STATUSES.includes(business.status)) throw notFound("Business not found");
+
+  return {
+    name: business.name,
+    slug: business.slug,
+    branding: {
+      logoUrl: business.branding?.logoUrl,
+      primaryColor: business.branding?.primaryColor,
+    },
+  };
+}
+
+/**
+ * { slug, available, reason? }. A slug still redirecting to this business can be
+ * taken back; one used (or redirecting) elsewhere cannot.
+ */
+export async function checkSlugAvailability({ businessId, slug }) {
+  const normalized = normalizeSlug(slug);
+  const problem = slugProblem(normalized);
+  if (problem) return { slug: normalized, available: false, reason: problem };
+
+  const [owner, redirect] = await Promise.all([
+    Business.findOne({ slug: normalized }).select("_id").lean(),
+    SlugRedirect.findOne({ slug: normalized, expiresAt: { $gt: new Date() } }).select("business").lean(),
+  ]);
+
+  if (owner && String(owner._id) === String(businessId)) {
+    return { slug: normalized, available: false, reason: "This is already your slug" };
+  }
+  if (owner || (redirect && String(redirect.business) !== String(businessId))) {
+    return { slug: normalized, available: false, reason: "This slug is taken" };
+  }
+  return { slug: normalized, available: true };
+}
+
+/**
+ * Owner only (enforced by the route). The previous slug keeps redirecting here for
+ * SLUG_REDIRECT_DAYS so existing login links keep working.
+ */
+export async function changeBusinessSlug({ businessId, actor, slug, ip }) {
+  const normalized = normalizeSlug(slug);
+  if (!normalized) throw badRequest("slug is required");
+
+  const problem = slugProblem(normalized);
+  if (problem) throw badRequest(problem);
+
+  const business = await Business.findById(businessId);
+  if (!business) throw notFound("Business not found");
+  if (business.slug === normalized) return business;
+
+  const { available } = await checkSlugAvailability({ businessId, slug: normalized });
+  if (!available) throw conflict("This slug is taken");
+
+  const previous = business.slug;
+  business.slug = normalized;
+  try {
+    await business.save();
+  } catch (err) {
+    if (err?.code === 11000) throw conflict("This slug is taken");
+    throw err;
+  }
+
+  const expiresAt = new Date(Date.now() + SLUG_REDIRECT_DAYS * DAY_MS);
+  await SlugRedirect.deleteOne({ slug: normalized, business: businessId });
+  await SlugRedirect.updateOne(
+    { slug: previous },
+    { $set: { business: businessId, expiresAt } },
+    { upsert: true }
+  );
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.slug_changed",
+    target: { kind: "Business", id: businessId },
+    meta: { from: previous, to: normalized, redirectUntil: expiresAt },
+    ip,
+  });
+
+  return business;
+}
+
+/**
+ * Owner-initiated deletion. The tenant becomes unreachable immediately but can be
+ * restored until purgeAfter; after that the purge job removes all of its data.
+ */
+export async function deleteBusiness({ businessId, actor, password, ip }) {
+  if (!password) throw badRequest("password is required");
+
+  const withHash = await User.findById(actor._id).select("+passwordHash");
+  // 400, not 401: the session is fine, only the re-entered password is wrong
+  if (!withHash || !(await withHash.comparePassword(String(password)))) {
+    throw badRequest("Invalid password");
+  }
+
+  const business = await Business.findById(businessId);
+  if (!business) throw notFound("Business not found");
+  if (business.status === "deleted") throw conflict("This business is already scheduled for deletion");
+
+  const now = new Date();
+  business.statusBeforeDeletion = business.status;
+  business.status = "deleted";
+  business.deletedAt = now;
+  business.purgeAfter = new Date(now.getTime() + DELETION_GRACE_DAYS * DAY_MS);
+  await business.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.deleted",
+    target: { kind: "Business", id: businessId },
+    meta: { purgeAfter: business.purgeAfter },
+    ip,
+  });
+
+  return { deleted: true, purgeAfter: business.purgeAfter };
+}
+
+export async function restoreBusiness({ businessId, actor, ip }) {
+  const business = await Business.findById(businessId);
+  if (!business) throw notFound("Business not found");
+  if (business.status === "purging") throw conflict("The restore period for this business has ended");
+  if (business.status !== "deleted") throw conflict("This business is not deleted");
+  if (business.purgeAfter && business.purgeAfter.getTime() <= Date.now()) {
+    throw conflict("The restore period for this business has ended");
+  }
+
+  business.status = business.statusBeforeDeletion || "active";
+  business.statusBeforeDeletion = undefined;
+  business.deletedAt = undefined;
+  business.purgeAfter = undefined;
+  await business.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.restored",
+    target: { kind: "Business", id: businessId },
+    meta: { status: business.status },
+    ip,
+  });
+
+  return business;
+}
+
+// Deleted past its grace period, or a purge that stopped part-way
+function purgeDueFilter(now) {
+  return { $or: [{ status: "deleted", purgeAfter: { $lte: now } }, { status: "purging" }] };
+}
+
+/**
+ * Hard-delete a tenant: every document in every registered model with a
+ * `business` path, then the Business itself. Callers must make sure all
+ * models are registered (see jobs/businessPurgeWorker.js).
+ * The business is first claimed (status "purging") so a restore cannot slip in
+ * while its data is being removed. Returns null when it was not due.
+ */
+export async function purgeBusiness(businessId, { now = new Date() } = {}) {
+  const claimed = await Business.findOneAndUpdate(
+    { _id: businessId, ...purgeDueFilter(now) },
+    { $set: { status: "purging" } }
+  );
+  if (!claimed) return null;
+
+  const removed = {};
+
+  for (const name of mongoose.modelNames()) {
+    const Model = mongoose.model(name);
+    if (Model === Business || !Model.schema.path("business")) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const result = await Model.deleteMany({ business: businessId });
+    if (result.deletedCount) removed[name] = result.deletedCount;
+  }
+
+  await Business.deleteOne({ _id: businessId, status: "purging" });
+  return removed;
+}
+
+/**
+ * Purge every deleted business whose grace period has ended (and retry any
+ * purge that did not finish).
+ */
+export async function purgeDeletedBusinesses({ now = new Date(), limit = 10 } = {}) {
+  const due = await Business.find(purgeDueFilter(now))
+    .select("_id slug")
+    .limit(limit)
+    .lean();
+
+  const purged = [];
+  for (const business of due) {
+    // eslint-disable-next-line no-await-in-loop
+    const removed = await purgeBusiness(business._id, { now });
+    if (removed) purged.push({ _id: business._id, slug: business.slug, removed });
+  }
+  return purged;
+}
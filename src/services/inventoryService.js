@@ -0,0 +1,272 @@
+// services/inventoryService.js
+// Inventory item catalogue. Stock levels (stockOnHandCached) are read-only here;
+// they change only through stock movements (services/stockService.js).
+import mongoose from "mongoose";
+import InventoryItem from "../models/InventoryItem.js";
+import Business from "../models/Business.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
+import { hasPermission } from "../utils/permissions.js";
+import { paginate, parseSort, escapeRegex } from "../utils/pagination.js";
+import { assertWithinPlanLimit } from "./billingService.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const TEXT_FIELDS = { name: 160, sku: 80, description: 2000, category: 80, unit: 40 };
+const NUMBER_FIELDS = ["cost", "price", "reorderPoint"];
+const STATUSES = ["active", "archived"];
+
+const ITEM_SORTS = {
+  name: "name",
+  sku: "sku",
+  category: "category",
+  price: "price",
+  stockOnHand: "stockOnHandCached",
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+};
+const COST_SORTS = { ...ITEM_SORTS, cost: "cost" };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export async function getInventorySettings(businessId) {
+  const biz = await Business.findById(businessId).select("settings.inventory").lean();
+  return biz?.settings?.inventory || {};
+}
+
+// Costs are only shown while the business tracks them, and to callers allowed to see them
+export function canSeeCost(settings, actor) {
+  return Boolean(settings.trackCost) && hasPermission(actor, "inventory.viewCost");
+}
+
+export function serializeItem(item, { showCost }) {
+  const plain = typeof item.toObject === "function" ? item.toObject() : { ...item };
+  if (!showCost) delete plain.cost;
+  return plain;
+}
+
+async function getItemInBusiness(businessId, itemId) {
+  if (!mongoose.isValidObjectId(itemId)) throw notFound("Inventory item not found");
+
+  const item = await InventoryItem.findOne({ _id: itemId, business: businessId });
+  if (!item) throw notFound("Inventory item not found");
+  return item;
+}
+
+/**
+ * Validate the editable fields present in `body` and set them on `item`.
+ * Empty strings / null clear optional fields. Throws 400 with per-field details.
+ */
+function applyItemFields(item, body, { showCost, trackCost }) {
+  const errors = {};
+
+  for (const [field, max] of Object.entries(TEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      if (field === "name") errors.name = "name is required";
+      else item.set(field, undefined);
+      continue;
+    }
+    if (typeof value !== "string") errors[field] = `${field} must be a string`;
+    else if (!value.trim() && field === "name") errors.name = "name is required";
+    else if (value.trim().length > max) errors[field] = `${field} must be at most ${max} characters`;
+    else item.set(field, value.trim() || undefined);
+  }
+
+  for (const field of NUMBER_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (field === "cost" && !trackCost) {
+      errors.cost = "Enable cost tracking (settings.inventory.trackCost) to record costs";
+      continue;
+    }
+    if (field === "cost" && !showCost) throw forbidden("You do not have permission to set item costs");
+    if (value === null || value === "") {
+      item.set(field, field === "reorderPoint" ? 0 : undefined);
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) errors[field] = `${field} must be a number >= 0`;
+    else item.set(field, n);
+  }
+
+  if (Object.keys(errors).length > 0) throw badRequest("Invalid inventory item", errors);
+}
+
+async function saveItem(item) {
+  try {
+    return await item.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      throw badRequest(
+        "Invalid inventory item",
+        Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]))
+      );
+    }
+    if (err?.code === 11000) throw conflict("An item with this SKU already exists");
+    throw err;
+  }
+}
+
+/**
+ * GET /api/inventory/items
+ * - q: every word must match name, SKU or category
+ * - category: exact (case-insensitive)
+ * - status: active (default); archived / all with inventory.manage
+ * - lowStock=true: stock on hand at or below the reorder point
+ * Returns { items, total, nextCursor, limit }.
+ */
+export async function listItems({ businessId, actor, q, category, status, lowStock, sort, cursor, limit }) {
+  const showCost = canSeeCost(await getInventorySettings(businessId), actor);
+  const and = [{ business: businessId }];
+
+  if (hasPermission(actor, "inventory.manage") && status) {
+    if (status !== "all" && !STATUSES.includes(status)) throw badRequest("status must be active, archived or all");
+    if (status !== "all") and.push({ status });
+  } else {
+    and.push({ status: "active" });
+  }
+
+  if (category) and.push({ category: new RegExp(`^${escapeRegex(String(category).trim())}$`, "i") });
+  if (lowStock) and.push({ $expr: { $lte: ["$stockOnHandCached", "$reorderPoint"] } });
+
+  const words = String(q || "").trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  for (const word of words) {
+    const re = new RegExp(escapeRegex(word), "i");
+    and.push({ $or: [{ name: re }, { sku: re }, { category: re }] });
+  }
+
+  return paginate(InventoryItem, {
+    filter: { $and: and },
+    sort: parseSort(sort, showCost ? COST_SORTS : ITEM_SORTS, "name"),
+    cursor,
+    limit,
+    select: showCost ? undefined : "-cost",
+  });
+}
+
+/**
+ * Categories in use by active items: [{ category, count }] sorted by name.
+ */
+export async function listCategories({ businessId }) {
+  const rows = await InventoryItem.aggregate([
+    {
+      $match: {
+        business: new mongoose.Types.ObjectId(String(businessId)),
+        status: "active",
+        category: { $nin: [null, ""] },
+      },
+    },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((r) => ({ category: r._id, count: r.count }));
+}
+
+export async function getItem({ businessId, actor, itemId }) {
+  const item = await getItemInBusiness(businessId, itemId);
+  if (item.status !== "active" && !hasPermission(actor, "inventory.manage")) throw notFound("Inventory item not found");
+
+  const showCost = canSeeCost(await getInventorySettings(businessId), actor);
+  return serializeItem(item, { showCost });
+}
+
+/**
+ * Counts toward the plan's inventoryItems limit. reorderPoint defaults to
+ * settings.inventory.lowStockThresholdDefault.
+ */
+export async function createItem({ businessId, actor, fields = {}, ip }) {
+  if (!isPlainObject(fields)) throw badRequest("Body must be an object");
+  if (fields.name === undefined) throw badRequest("name is required");
+
+  const settings = await getInventorySettings(businessId);
+  const showCost = canSeeCost(settings, actor);
+
+  const item = new InventoryItem({
+    business: businessId,
+    reorderPoint: settings.lowStockThresholdDefault || 0,
+    createdBy: actor._id,
+    updatedBy: actor._id,
+  });
+  applyItemFields(item, fields, { showCost, trackCost: settings.trackCost });
+
+  await assertWithinPlanLimit({ businessId, resource: "inventoryItems" });
+  await saveItem(item);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "inventory.item_created",
+    target: { kind: "InventoryItem", id: item._id },
+    meta: { name: item.name, sku: item.sku },
+    ip,
+  });
+
+  return serializeItem(item, { showCost });
+}
+
+/**
+ * Catalogue fields only; stock changes go through stock movements and
+ * archive / restore have their own endpoints.
+ */
+export async function updateItem({ businessId, actor, itemId, updates = {}, ip }) {
+  if (!isPlainObject(updates)) throw badRequest("Body must be an object");
+
+  const item = await getItemInBusiness(businessId, itemId);
+  if (item.status === "archived") throw conflict("Archived items cannot be edited; restore the item first");
+
+  const settings = await getInventorySettings(businessId);
+  const showCost = canSeeCost(settings, actor);
+
+  applyItemFields(item, updates, { showCost, trackCost: settings.trackCost });
+
+  const changed = item.modifiedPaths();
+  if (changed.length > 0) {
+    item.updatedBy = actor._id;
+    await saveItem(item);
+
+    await recordAuditEvent({
+      businessId,
+      actor,
+      action: "inventory.item_updated",
+      target: { kind: "InventoryItem", id: item._id },
+      meta: { fields: changed },
+      ip,
+    });
+  }
+
+  return serializeItem(item, { showCost });
+}
+
+async function setItemStatus({ businessId, actor, itemId, status, ip }) {
+  const item = await getItemInBusiness(businessId, itemId);
+  const showCost = canSeeCost(await getInventorySettings(businessId), actor);
+  if (item.status === status) return serializeItem(item, { showCost });
+
+  if (status === "active") await assertWithinPlanLimit({ businessId, resource: "inventoryItems" });
+
+  item.status = status;
+  item.updatedBy = actor._id;
+  await saveItem(item);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: status === "active" ? "inventory.item_restored" : "inventory.item_archived",
+    target: { kind: "InventoryItem", id: item._id },
+    ip,
+  });
+
+  return serializeItem(item, { showCost });
+}
+
+// Archived items leave the catalogue and stop counting toward the plan limit
+export async function archiveItem({ businessId, actor, itemId, ip }) {
+  return setItemStatus({ businessId, actor, itemId, status: "archived", ip });
+}
+
+export async function restoreItem({ businessId, actor, itemId, ip }) {
+  return setItemStatus({ businessId, actor, itemId, status: "active", ip });
+}
@@ -0,0 +1,157 @@
+// services/invitationService.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Business from "../models/Business.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
+import { hashToken } from "../utils/tokens.js";
+import { queueTemplatedEmail } from "./mailService.js";
+import { assertWithinPlanLimit } from "./billingService.js";
+
+export const ROLES = ["owner", "manager", "employee"];
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS || 72);
+
+/**
+ * Role rules for inviting / managing invites:
+ * - owners can invite any role
+ * - managers can invite managers and employees, never owners
+ * - employees cannot invite
+ */
+export function canAssignRole(actorRole, targetRole) {
+  if (actorRole === "owner") return true;
+  if (actorRole === "manager") return targetRole !== "owner";
+  return false;
+}
+
+function sendInviteEmail(user, actor, token) {
+  return queueTemplatedEmail({
+    businessId: user.business,
+    userId: user._id,
+    template: "invite",
+    data: { token, invitedByName: actor.displayName || [actor.firstName, actor.lastName].filter(Boolean).join(" ") },
+  });
+}
+
+/**
+ * Issue a fresh invite token for an "invited" user, save and email it
+ * (the previous link stops working).
+ */
+export async function issueInvite(user, actor) {
+  const inviteToken = user.createInviteToken(actor._id, INVITE_TTL_HOURS);
+  await user.save();
+  await sendInviteEmail(user, actor, inviteToken);
+  return user;
+}
+
+async function getInvitedUser(businessId, userId) {
+  if (!mongoose.isValidObjectId(userId)) throw notFound("User not found in this business");
+
+  const user = await User.findOne({ _id: userId, business: businessId });
+  if (!user) throw notFound("User not found in this business");
+  if (user.status !== "invited") throw conflict("User does not have a pending invite");
+  return user;
+}
+
+export async function inviteUser({
+  businessId,
+  actor,
+  email,
+  role = "employee",
+  firstName,
+  lastName,
+  displayName,
+  jobTitle,
+}) {
+  const emailNorm = String(email || "").toLowerCase().trim();
+  if (!emailNorm || !EMAIL_REGEX.test(emailNorm)) throw badRequest("A valid email is required");
+  if (!ROLES.includes(role)) throw badRequest("Invalid role");
+  if (!canAssignRole(actor.role, role)) throw forbidden(`You cannot invite a user with role "${role}"`);
+
+  let user = await User.findOne({ business: businessId, email: emailNorm });
+
+  if (user && user.status === "invited") {
+    throw conflict("This email already has a pending invite; resend it instead");
+  }
+  if (user && user.status !== "deleted") {
+    throw conflict("A user with this email already exists in this business");
+  }
+
+  await assertWithinPlanLimit({ businessId, resource: "users" });
+
+  // Re-inviting a soft-deleted user revives the same document (unique {business, email}),
+  // without the previous holder's grants, second factor or HR data
+  if (user) user.resetAccountState();
+  else user = new User({ business: businessId, email: emailNorm });
+
+  user.set({
+    role,
+    status: "invited",
+    firstName: firstName || user.firstName || undefined,
+    lastName: lastName || user.lastName || undefined,
+    displayName: displayName || user.displayName || undefined,
+    deletedAt: undefined,
+  });
+  if (jobTitle) user.set("employeeMeta.jobTitle", jobTitle);
+
+  return issueInvite(user, actor);
+}
+
+export async function resendInvite({ businessId, actor, userId }) {
+  const user = await getInvitedUser(businessId, userId);
+  if (!canAssignRole(actor.role, user.role)) throw forbidden("You cannot manage this invite");
+
+  return issueInvite(user, actor);
+}
+
+export async function cancelInvite({ businessId, actor, userId }) {
+  const user = await getInvitedUser(businessId, userId);
+  if (!canAssignRole(actor.role, user.role)) throw forbidden("You cannot manage this invite");
+
+  // Never-activated accounts have no history worth keeping
+  await User.deleteOne({ _id: user._id, status: "invited" });
+  return { _id: user._id, canceled: true };
+}
+
+/**
+ * Public: employee follows the invite link, sets password + name.
+ * Returns the now-active user (caller starts the session) and emails a
+ * verification link.
+ */
+export async function acceptInvite({ token, password, firstName, lastName, displayName }) {
+  if (!token) throw badRequest("token is required");
+  if (!password || String(password).length < 8) {
+    throw badRequest("password must be at least 8 characters");
+  }
+
+  const user = await User.findOne({
+    "invitation.tokenHash": hashToken(token),
+    status: "invited",
+  }).select("+invitation.tokenHash +passwordHash");
+
+  if (!user || !user.consumeInviteToken(String(token))) {
+    throw badRequest("Invalid or expired invite");
+  }
+
+  const business = await Business.findById(user.business).select("status");
+  if (!business?.isActive()) throw forbidden("This business is not active");
+
+  if (firstName !== undefined) user.firstName = firstName || undefined;
+  if (lastName !== undefined) user.lastName = lastName || undefined;
+  if (displayName !== undefined) user.displayName = displayName || undefined;
+  if (!user.firstName && !user.displayName) throw badRequest("firstName or displayName is required");
+
+  user.password = String(password);
+  const verificationToken = user.isEmailVerified ? null : user.createEmailVerificationToken();
+  await user.save();
+
+  if (verificationToken) {
+    await queueTemplatedEmail({
+      businessId: user.business,
+      userId: user._id,
+      template: "emailVerification",
+      data: { token: verificationToken },
+    });
+  }
+
+  return user;
+}
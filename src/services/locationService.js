@@ -0,0 +1,234 @@
+// services/locationService.js
+import mongoose from "mongoose";
+import Location from "../models/Location.js";
+import { badRequest, conflict, notFound } from "../utils/httpError.js";
+import { hasPermission } from "../utils/permissions.js";
+import { escapeRegex } from "../utils/pagination.js";
+import { assertWithinPlanLimit } from "./billingService.js";
+import { countUpcomingLocationShifts, releaseLocationShifts } from "./shiftService.js";
+import { assertValidReferences } from "./referenceService.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const ADDRESS_LIMITS = { line1: 120, line2: 120, city: 80, province: 80, postalCode: 20, country: 80 };
+const REQUIRED_ADDRESS_FIELDS = ["line1", "city", "country"];
+const STATUSES = ["active", "archived"];
+const ARCHIVE_SHIFT_ACTIONS = ["cancel", "reassign"];
+
+// Country-specific postal code formats; other countries only get the length check
+const POSTAL_CODE_FORMATS = [
+  { countries: ["canada", "ca"], pattern: /^[A-Za-z]\d[A-Za-z][ -]?\d[A-Za-z]\d$/, example: "V6B 1A1" },
+  { countries: ["united states", "usa", "us"], pattern: /^\d{5}(-\d{4})?$/, example: "98101 or 98101-1234" },
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate an address: known string fields within length limits; line1, city
+ * and country required once any field is given. null clears the address.
+ * Returns the normalized address (or undefined); throws 400 with per-field details.
+ */
+function normalizeAddress(address) {
+  if (address === null) return undefined;
+  if (!isPlainObject(address)) throw badRequest("address must be an object");
+
+  const errors = {};
+  const unknown = Object.keys(address).filter((k) => !(k in ADDRESS_LIMITS));
+  for (const key of unknown) errors[`address.${key}`] = "Unknown address field";
+
+  const out = {};
+  for (const [field, max] of Object.entries(ADDRESS_LIMITS)) {
+    const value = address[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string") errors[`address.${field}`] = `${field} must be a string`;
+    else if (value.trim().length > max) errors[`address.${field}`] = `${field} must be at most ${max} characters`;
+    else if (value.trim()) out[field] = value.trim();
+  }
+
+  if (Object.keys(out).length === 0 && Object.keys(errors).length === 0) return undefined;
+
+  for (const field of REQUIRED_ADDRESS_FIELDS) {
+    if (!out[field] && !errors[`address.${field}`]) errors[`address.${field}`] = `${field} is required`;
+  }
+
+  if (out.postalCode && out.country) {
+    const format = POSTAL_CODE_FORMATS.find((f) => f.countries.includes(out.country.toLowerCase()));
+    if (format && !format.pattern.test(out.postalCode)) {
+      errors["address.postalCode"] = `postalCode must look like ${format.example}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) throw badRequest("Invalid address", errors);
+  return out;
+}
+
+function normalizeName(name) {
+  const value = typeof name === "string" ? name.trim() : "";
+  if (!value) throw badRequest("name is required");
+  if (value.length > 120) throw badRequest("name must be at most 120 characters");
+  return value;
+}
+
+async function saveLocation(location) {
+  try {
+    return await location.save();
+  } catch (err) {
+    if (err?.code === 11000) throw conflict("A location with this name already exists");
+    throw err;
+  }
+}
+
+async function getLocationInBusiness(businessId, locationId) {
+  if (!mongoose.isValidObjectId(locationId)) throw notFound("Location not found");
+
+  const location = await Location.findOne({ _id: locationId, business: businessId });
+  if (!location) throw notFound("Location not found");
+  return location;
+}
+
+/**
+ * Everyone sees active locations; with locations.manage `status` may also be
+ * "archived" or "all". Sorted by name.
+ */
+export async function listLocations({ businessId, actor, status, q }) {
+  const query = Location.find().byBusiness(businessId);
+
+  if (hasPermission(actor, "locations.manage") && status) {
+    if (status !== "all" && !STATUSES.includes(status)) throw badRequest("status must be active, archived or all");
+    if (status !== "all") query.where({ status });
+  } else {
+    query.where({ status: "active" });
+  }
+
+  const search = String(q || "").trim();
+  if (search) query.where({ name: new RegExp(escapeRegex(search), "i") });
+
+  return query.sort({ name: 1 }).lean();
+}
+
+export async function getLocation({ businessId, actor, locationId }) {
+  const location = await getLocationInBusiness(businessId, locationId);
+  if (location.status !== "active" && !hasPermission(actor, "locations.manage")) throw notFound("Location not found");
+  return location;
+}
+
+export async function createLocation({ businessId, actor, name, address, ip }) {
+  const location = new Location({
+    business: businessId,
+    name: normalizeName(name),
+    address: address === undefined ? undefined : normalizeAddress(address),
+  });
+
+  await assertWithinPlanLimit({ businessId, resource: "locations" });
+  await saveLocation(location);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "location.created",
+    target: { kind: "Location", id: location._id },
+    meta: { name: location.name },
+    ip,
+  });
+
+  return location;
+}
+
+/**
+ * Name and address only; archive / restore have their own endpoints.
+ */
+export async function updateLocation({ businessId, actor, locationId, updates = {}, ip }) {
+  if (!isPlainObject(updates)) throw badRequest("Body must be an object");
+
+  const location = await getLocationInBusiness(businessId, locationId);
+
+  if (updates.name !== undefined) location.name = normalizeName(updates.name);
+  if (updates.address !== undefined) location.address = normalizeAddress(updates.address);
+
+  const changed = location.modifiedPaths().filter((p) => !p.includes("."));
+  if (changed.length === 0) return location;
+
+  await saveLocation(location);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "location.updated",
+    target: { kind: "Location", id: location._id },
+    meta: { fields: changed },
+    ip,
+  });
+
+  return location;
+}
+
+/**
+ * Archive a location. If it still has future published shifts the caller must
+ * choose what happens to its future shifts (drafts included):
+ * - shifts: "cancel"
+ * - shifts: "reassign" + toLocationId (another active location)
+ * Otherwise 409 LOCATION_HAS_UPCOMING_SHIFTS with the counts.
+ */
+export async function archiveLocation({ businessId, actor, locationId, shifts, toLocationId, ip }) {
+  const location = await getLocationInBusiness(businessId, locationId);
+  if (location.status === "archived") return { location, shifts: null };
+
+  if (shifts !== undefined && !ARCHIVE_SHIFT_ACTIONS.includes(shifts)) {
+    throw badRequest(`shifts must be one of: ${ARCHIVE_SHIFT_ACTIONS.join(", ")}`);
+  }
+
+  if (shifts === "reassign") {
+    if (!toLocationId) throw badRequest("toLocationId is required to reassign shifts");
+    if (String(toLocationId) === String(location._id)) throw badRequest("toLocationId must be a different location");
+    await assertValidReferences(businessId, { locations: { toLocationId } });
+  }
+
+  const upcoming = await countUpcomingLocationShifts({ businessId, locationId: location._id });
+  if (upcoming.published > 0 && !shifts) {
+    throw conflict("This location has upcoming published shifts; cancel or reassign them to archive it", {
+      code: "LOCATION_HAS_UPCOMING_SHIFTS",
+      upcoming,
+      actions: ARCHIVE_SHIFT_ACTIONS,
+    });
+  }
+
+  const released =
+    shifts && upcoming.published + upcoming.draft > 0
+      ? await releaseLocationShifts({ businessId, actor, locationId: location._id, action: shifts, toLocationId })
+      : null;
+
+  location.status = "archived";
+  await saveLocation(location);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "location.archived",
+    target: { kind: "Location", id: location._id },
+    meta: { shifts: released, toLocationId: shifts === "reassign" ? toLocationId : undefined },
+    ip,
+  });
+
+  return { location, shifts: released };
+}
+
+export async function restoreLocation({ businessId, actor, locationId, ip }) {
+  const location = await getLocationInBusiness(businessId, locationId);
+  if (location.status === "active") return location;
+
+  await assertWithinPlanLimit({ businessId, resource: "locations" });
+
+  location.status = "active";
+  await saveLocation(location);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "location.restored",
+    target: { kind: "Location", id: location._id },
+    ip,
+  });
+
+  return location;
+}
@@ -0,0 +1,130 @@
+// services/mailService.js
+import EmailMessage from "../models/EmailMessage.js";
+import Business from "../models/Business.js";
+import User from "../models/User.js";
+import { getTemplate } from "../mail/templates.js";
+import { getTransport } from "../mail/transports/index.js";
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = 30 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000; // "sending" rows older than this are retried (worker crashed)
+
+const mailFrom = () => process.env.MAIL_FROM || "ZCOR <no-reply@localhost>";
+
+/**
+ * Render a template and put it on the outbound queue.
+ * - businessId is required (branding + tenant scoping)
+ * - userId (optional) is the recipient; `to` defaults to their email
+ * - non-transactional templates are skipped when the user opted out of email
+ *
+ * Returns the queued EmailMessage, or null when skipped.
+ */
+export async function queueTemplatedEmail({ businessId, userId = null, to = null, template, data = {} }) {
+  const tpl = getTemplate(template);
+
+  const business = await Business.findById(businessId).select("name slug branding settings.timezone").lean();
+  if (!business) throw new Error("queueTemplatedEmail: business not found");
+
+  const user = userId
+    ? await User.findById(userId).select("email firstName lastName displayName preferences status").lean()
+    : null;
+
+  const recipient = to || user?.email;
+  if (!recipient) return null;
+
+  if (!tpl.transactional) {
+    if (!user || user.status !== "active") return null;
+    if (user.preferences?.notifications?.email === false) return null;
+  }
+
+  const { subject, text, html } = tpl.render({ business, user: user || { email: recipient }, ...data });
+
+  const message = await EmailMessage.create({
+    business: business._id,
+    user: user?._id,
+    template,
+    to: recipient,
+    from: mailFrom(),
+    subject,
+    text,
+    html,
+  });
+
+  // Deliver soon, but never on the request path
+  setImmediate(() => {
+    processMailQueue().catch((err) => console.error("Mail queue error:", err.message));
+  });
+
+  return message;
+}
+
+async function claimNextMessage() {
+  const now = new Date();
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(message) {
+  const transport = getTransport();
+
+  try {
+    await transport.send({
+      id: String(message._id),
+      from: message.from || mailFrom(),
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    });
+
+    message.set({ status: "sent", sentAt: new Date(), lockedAt: undefined, lastError: undefined, transport: transport.name });
+  } catch (err) {
+    const giveUp = message.attempts >= MAX_ATTEMPTS;
+    message.set({
+      status: giveUp ? "failed" : "queued",
+      // exponential backoff: 30s, 1m, 2m, 4m, ...
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1)),
+      lockedAt: undefined,
+      lastError: String(err?.message || err).slice(0, 2000),
+      transport: transport.name,
+    });
+  }
+
+  await message.save();
+  return message;
+}
+
+let processing = false;
+
+/**
+ * Deliver due messages. Safe to call often: concurrent calls in the same
+ * process no-op, and rows are claimed atomically across processes.
+ */
+export async function processMailQueue({ limit = 50 } = {}) {
+  if (processing) return { processed: 0 };
+  processing = true;
+
+  let processed = 0;
+  try {
+    while (processed < limit) {
+      // eslint-disable-next-line no-await-in-loop
+      const message = await claimNextMessage();
+      if (!message) break;
+      // eslint-disable-next-line no-await-in-loop
+      await deliver(message);
+      processed += 1;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return { processed };
+}
@@ -0,0 +1,115 @@
+// services/membershipService.js
+// A person can work for several businesses: one User per Business, sharing an email.
+// Memberships are linked for a sign-in when the same password unlocks each of them;
+// the linked set is stored on the Session so switching never asks for the password again.
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Business from "../models/Business.js";
+import Session from "../models/Session.js";
+import { badRequest, forbidden, notFound } from "../utils/httpError.js";
+
+export const LOGIN_USER_FIELDS =
+  "+passwordHash business role status email firstName lastName displayName lockedUntil tokenVersion twoFactor.enabled";
+
+function businessSummary(business) {
+  return {
+    _id: business._id,
+    name: business.name,
+    slug: business.slug,
+    status: business.status,
+    branding: business.branding,
+  };
+}
+
+// Every business a member can still sign in to (see Business#isReachable):
+// suspended ones are read-only and deleted ones restorable until purgeAfter
+async function usableBusinesses(businessIds) {
+  const businesses = await Business.find({
+    _id: { $in: businessIds },
+    $or: [{ status: { $nin: ["deleted", "purging"] } }, { status: "deleted", purgeAfter: { $gt: new Date() } }],
+  })
+    .select("name slug status branding")
+    .lean();
+  return new Map(businesses.map((b) => [String(b._id), b]));
+}
+
+/**
+ * Active, unlocked memberships for `email` that `password` unlocks, in businesses
+ * members can still reach (suspended, or deleted but restorable, included).
+ * Pass `candidates` (users already loaded with LOGIN_USER_FIELDS) to avoid a
+ * second query.
+ * Returns [{ user, business }].
+ */
+export async function findPasswordMatchedMemberships({ email, password, candidates = null, excludeUserId = null }) {
+  const users =
+    candidates ||
+    (await User.find({ email: String(email).toLowerCase().trim(), status: "active" }).select(LOGIN_USER_FIELDS));
+
+  const matched = [];
+  for (const u of users) {
+    if (u.status !== "active" || u.isLocked()) continue;
+    if (excludeUserId && String(u._id) === String(excludeUserId)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    if (await u.comparePassword(password)) matched.push(u);
+  }
+
+  const businesses = await usableBusinesses(matched.map((u) => u.business));
+  return matched
+    .filter((u) => businesses.has(String(u.business)))
+    .map((u) => ({ user: u, business: businesses.get(String(u.business)) }));
+}
+
+export function membershipResponse({ user, business }, currentUserId = null) {
+  return {
+    userId: user._id,
+    role: user.role,
+    business: businessSummary(business),
+    ...(currentUserId ? { current: String(user._id) === String(currentUserId) } : {}),
+  };
+}
+
+/**
+ * Memberships linked to the caller's current session (always includes the current user).
+ */
+export async function listSessionMemberships({ sessionId, currentUserId }) {
+  const session = await Session.findById(sessionId).select("linkedUsers").lean();
+  const ids = [...new Set([String(currentUserId), ...(session?.linkedUsers || []).map(String)])];
+
+  const users = await User.find({ _id: { $in: ids }, status: "active" })
+    .select("business role status email firstName lastName displayName")
+    .lean();
+  const businesses = await usableBusinesses(users.map((u) => u.business));
+
+  return users
+    .filter((u) => businesses.has(String(u.business)))
+    .map((u) => membershipResponse({ user: u, business: businesses.get(String(u.business)) }, currentUserId));
+}
+
+/**
+ * Resolve the membership to switch to from the current session.
+ * Returns { user, business, session }.
+ */
+export async function getSwitchTarget({ sessionId, currentUser, businessId }) {
+  if (!businessId) throw badRequest("businessId is required");
+  if (!mongoose.isValidObjectId(businessId)) throw badRequest("Invalid businessId");
+  if (String(currentUser.business) === String(businessId)) {
+    throw badRequest("You are already signed in to this business");
+  }
+
+  const session = await Session.findById(sessionId).select("linkedUsers remember");
+  if (!session) throw notFound("Session not found");
+
+  const user = await User.findOne({
+    _id: { $in: session.linkedUsers || [] },
+    business: businessId,
+    email: currentUser.email,
+  });
+  if (!user) throw forbidden("You are not a member of this business");
+  if (user.status !== "active") throw forbidden("Your account in this business is not active");
+  if (user.isLocked()) throw forbidden("Your account in this business is temporarily locked");
+
+  const business = await Business.findById(businessId).select("name slug status branding purgeAfter");
+  if (!business?.isReachable()) throw forbidden("This business is no longer available");
+
+  return { user, business, session };
+}
@@ -0,0 +1,215 @@
+// services/ownershipService.js
+// Handing a business to another user: the owner requests (with their password),
+// the recipient accepts, and roles + Business.createdBy change together (conditional
+// updates with compensation, so it also runs on a standalone MongoDB).
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import User from "../models/User.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
+import { queueTemplatedEmail } from "./mailService.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const TRANSFER_TTL_DAYS = Number(process.env.OWNERSHIP_TRANSFER_TTL_DAYS || 7);
+const PREVIOUS_OWNER_ROLES = ["manager", "employee"];
+
+function pendingTransfer(business) {
+  const t = business.ownershipTransfer;
+  if (!t?.to) return null;
+  return t;
+}
+
+function isExpired(transfer) {
+  return !transfer.expiresAt || transfer.expiresAt.getTime() <= Date.now();
+}
+
+async function loadBusiness(businessId) {
+  const business = await Business.findById(businessId);
+  if (!business) throw notFound("Business not found");
+  return business;
+}
+
+export async function getOwnershipTransfer({ businessId, actor }) {
+  const business = await loadBusiness(businessId);
+  const transfer = pendingTransfer(business);
+  if (!transfer || isExpired(transfer)) return { transfer: null };
+
+  // Visible to owners and to the recipient
+  const isRecipient = String(transfer.to) === String(actor._id);
+  if (actor.role !== "owner" && !isRecipient) return { transfer: null };
+
+  const [from, to] = await Promise.all([
+    User.findById(transfer.from).select("firstName lastName displayName email").lean(),
+    User.findById(transfer.to).select("firstName lastName displayName email").lean(),
+  ]);
+
+  return {
+    transfer: {
+      from,
+      to,
+      previousOwnerRole: transfer.previousOwnerRole,
+      requestedAt: transfer.requestedAt,
+      expiresAt: transfer.expiresAt,
+      canAccept: isRecipient,
+    },
+  };
+}
+
+/**
+ * Owner only. Replaces any earlier pending request.
+ */
+export async function requestOwnershipTransfer({
+  businessId,
+  actor,
+  toUserId,
+  password,
+  previousOwnerRole = "manager",
+  ip,
+}) {
+  if (!toUserId) throw badRequest("toUserId is required");
+  if (!password) throw badRequest("password is required");
+  if (!PREVIOUS_OWNER_ROLES.includes(previousOwnerRole)) {
+    throw badRequest(`previousOwnerRole must be one of: ${PREVIOUS_OWNER_ROLES.join(", ")}`);
+  }
+  if (actor.role !== "owner") throw forbidden("Only an owner can transfer ownership");
+  if (String(toUserId) === String(actor._id)) throw badRequest("You already own this business");
+
+  const withHash = await User.findById(actor._id).select("+passwordHash");
+  // 400, not 401: the session is fine, only the re-entered password is wrong
+  if (!withHash || !(await withHash.comparePassword(String(password)))) {
+    throw badRequest("Invalid password");
+  }
+
+  if (!mongoose.isValidObjectId(toUserId)) throw notFound("User not found in this business");
+  const recipient = await User.findOne({ _id: toUserId, business: businessId });
+  if (!recipient) throw notFound("User not found in this business");
+  if (recipient.status !== "active") throw conflict("Ownership can only be transferred to an active user");
+  if (recipient.role === "owner") throw conflict("This user is already an owner");
+
+  const business = await loadBusiness(businessId);
+  const now = new Date();
+  business.ownershipTransfer = {
+    from: actor._id,
+    to: recipient._id,
+    previousOwnerRole,
+    requestedAt: now,
+    expiresAt: new Date(now.getTime() + TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000),
+  };
+  await business.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.ownership_transfer_requested",
+    target: { kind: "User", id: recipient._id },
+    meta: { previousOwnerRole, expiresAt: business.ownershipTransfer.expiresAt },
+    ip,
+  });
+
+  await queueTemplatedEmail({
+    businessId,
+    userId: recipient._id,
+    template: "ownershipTransfer",
+    data: {
+      fromName: actor.displayName || [actor.firstName, actor.lastName].filter(Boolean).join(" "),
+      expiresAt: business.ownershipTransfer.expiresAt,
+    },
+  });
+
+  return getOwnershipTransfer({ businessId, actor });
+}
+
+/**
+ * Owner cancels, or the recipient declines.
+ */
+export async function cancelOwnershipTransfer({ businessId, actor, ip }) {
+  const business = await loadBusiness(businessId);
+  const transfer = pendingTransfer(business);
+  if (!transfer) throw notFound("There is no pending ownership transfer");
+
+  const isRecipient = String(transfer.to) === String(actor._id);
+  if (actor.role !== "owner" && !isRecipient) throw forbidden("You cannot cancel this transfer");
+
+  const recipientId = transfer.to;
+  business.ownershipTransfer = undefined;
+  await business.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: isRecipient ? "business.ownership_transfer_declined" : "business.ownership_transfer_canceled",
+    target: { kind: "User", id: recipientId },
+    ip,
+  });
+
+  return { transfer: null };
+}
+
+/**
+ * Recipient accepts: recipient -> owner, requesting owner -> previousOwnerRole,
+ * Business.createdBy -> recipient, pending request cleared, audit event written.
+ * Both users' token versions are bumped, so their current access tokens stop
+ * working and clients refresh to pick up the new roles.
+ *
+ * No transaction (standalone MongoDB has none): each step is a conditional
+ * update and a failed step undoes the ones before it. The recipient is promoted
+ * before the requester is demoted, so the business never has zero owners.
+ */
+export async function acceptOwnershipTransfer({ businessId, actor, ip }) {
+  const business = await loadBusiness(businessId);
+  const transfer = pendingTransfer(business);
+  if (!transfer) throw notFound("There is no pending ownership transfer");
+  if (String(transfer.to) !== String(actor._id)) throw forbidden("This transfer is not addressed to you");
+  if (isExpired(transfer)) throw conflict("This ownership transfer has expired");
+
+  const { from, to, previousOwnerRole } = transfer;
+  const claimedTransfer = business.toObject().ownershipTransfer;
+
+  // Claim the request; conditional on it still being the one we loaded (cancel/replace races)
+  const claimed = await Business.updateOne(
+    { _id: businessId, "ownershipTransfer.to": to, "ownershipTransfer.from": from },
+    { $unset: { ownershipTransfer: 1 } }
+  );
+  if (claimed.modifiedCount !== 1) throw conflict("The ownership transfer changed; please try again");
+
+  // Put the request back unless another one replaced it meanwhile
+  const releaseClaim = () =>
+    Business.updateOne(
+      { _id: businessId, "ownershipTransfer.to": { $exists: false } },
+      { $set: { ownershipTransfer: claimedTransfer } }
+    );
+
+  const promoted = await User.updateOne(
+    { _id: to, business: businessId, status: "active", role: actor.role },
+    { $set: { role: "owner" }, $inc: { tokenVersion: 1 } }
+  );
+  if (promoted.modifiedCount !== 1) {
+    await releaseClaim();
+    throw conflict("Your account is no longer active");
+  }
+
+  const demoted = await User.updateOne(
+    { _id: from, business: businessId, role: "owner" },
+    { $set: { role: previousOwnerRole || "manager" }, $inc: { tokenVersion: 1 } }
+  );
+  if (demoted.modifiedCount !== 1) {
+    // The requester is no longer an owner, so the request is void: undo the promotion only
+    await User.updateOne(
+      { _id: to, business: businessId, role: "owner" },
+      { $set: { role: actor.role }, $inc: { tokenVersion: 1 } }
+    );
+    throw conflict("The requesting user is no longer an owner");
+  }
+
+  await Business.updateOne({ _id: businessId }, { $set: { createdBy: to } });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "business.ownership_transferred",
+    target: { kind: "Business", id: businessId },
+    meta: { from, to, previousOwnerRole },
+    ip,
+  });
+
+  return { transferred: true, owner: to, previousOwner: from };
+}
@@ -0,0 +1,105 @@
+// services/permissionService.js
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import User from "../models/User.js";
+import { badRequest, notFound } from "../utils/httpError.js";
+import {
+  PERMISSIONS,
+  CONFIGURABLE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  rolePermissionsFor,
+  resolvePermissions,
+} from "../utils/permissions.js";
+import { recordAuditEvent } from "./auditService.js";
+
+function normalizePermissionList(permissions) {
+  if (!Array.isArray(permissions)) throw badRequest("permissions must be an array");
+
+  const list = [...new Set(permissions.map((p) => String(p).trim()).filter(Boolean))];
+  const unknown = list.filter((p) => !isKnownPermission(p));
+  if (unknown.length) throw badRequest("Unknown permissions", { unknown });
+
+  return list;
+}
+
+function ensureConfigurableRole(role) {
+  if (!CONFIGURABLE_ROLES.includes(role)) {
+    throw badRequest(`Role must be one of: ${CONFIGURABLE_ROLES.join(", ")}`);
+  }
+}
+
+export function describePermissions({ business, actor }) {
+  return {
+    catalogue: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    roles: {
+      owner: rolePermissionsFor("owner", business),
+      manager: rolePermissionsFor("manager", business),
+      employee: rolePermissionsFor("employee", business),
+    },
+    defaults: DEFAULT_ROLE_PERMISSIONS,
+    mine: resolvePermissions(actor, business),
+  };
+}
+
+export async function setRolePermissions({ businessId, actor, role, permissions, ip }) {
+  ensureConfigurableRole(role);
+  const list = normalizePermissionList(permissions);
+
+  await Business.updateOne({ _id: businessId }, { $set: { [`settings.rolePermissions.${role}`]: list } });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "permissions.role_updated",
+    target: { kind: "Business", id: businessId },
+    meta: { role, permissions: list },
+    ip,
+  });
+
+  return { role, permissions: list };
+}
+
+export async function resetRolePermissions({ businessId, actor, role, ip }) {
+  ensureConfigurableRole(role);
+
+  await Business.updateOne({ _id: businessId }, { $unset: { [`settings.rolePermissions.${role}`]: "" } });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "permissions.role_reset",
+    target: { kind: "Business", id: businessId },
+    meta: { role },
+    ip,
+  });
+
+  return { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] };
+}
+
+// Individual grants on top of the user's role (owners already have every permission)
+export async function setUserPermissions({ businessId, actor, userId, permissions, ip }) {
+  const list = normalizePermissionList(permissions);
+  if (!mongoose.isValidObjectId(userId)) throw notFound("User not found in this business");
+
+  const user = await User.findOne({ _id: userId, business: businessId }).notDeleted();
+  if (!user) throw notFound("User not found in this business");
+  if (user.role === "owner" && list.length > 0) {
+    throw badRequest("Owners already have every permission; individual grants do not apply");
+  }
+
+  const previous = user.permissions || [];
+  user.permissions = list;
+  await user.save();
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "permissions.user_updated",
+    target: { kind: "User", id: user._id },
+    meta: { from: previous, to: list },
+    ip,
+  });
+
+  return user;
+}
@@ -0,0 +1,71 @@
+// services/referenceService.js
+// Shared checks for ids that services write into documents (shift.user,
+// timeEntry.location, ...): the referenced user / location must exist in the
+// caller's business and be usable.
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Location from "../models/Location.js";
+import { badRequest } from "../utils/httpError.js";
+
+// Ids from other tenants are reported as not_found so they can't be probed
+const REFERENCE_KINDS = {
+  users: {
+    Model: User,
+    select: "_id status",
+    problem: (doc) => {
+      if (!doc || doc.status === "deleted") return { reason: "not_found", message: "User not found in this business" };
+      if (doc.status === "disabled") return { reason: "disabled", message: "User is disabled" };
+      return null;
+    },
+  },
+  locations: {
+    Model: Location,
+    select: "_id status",
+    problem: (doc) => {
+      if (!doc) return { reason: "not_found", message: "Location not found in this business" };
+      if (doc.status === "archived") return { reason: "archived", message: "Location is archived" };
+      return null;
+    },
+  },
+};
+
+/**
+ * refs: { users: { userId: "..." }, locations: { locationId: "..." } }, keyed by
+ * the request field name. Empty ids are skipped.
+ * Throws 400 INVALID_REFERENCE with details.references = [{ field, id, reason, message }]
+ * (reason: invalid_id | not_found | disabled | archived); otherwise returns the
+ * loaded documents keyed by field.
+ */
+export async function assertValidReferences(businessId, refs = {}) {
+  const problems = [];
+  const found = {};
+
+  for (const [kind, fields] of Object.entries(refs)) {
+    const { Model, select, problem } = REFERENCE_KINDS[kind];
+    const entries = Object.entries(fields || {}).filter(([, id]) => id !== undefined && id !== null && id !== "");
+
+    const ids = [];
+    for (const [field, id] of entries) {
+      if (mongoose.isValidObjectId(id)) ids.push(String(id));
+      else problems.push({ field, id, reason: "invalid_id", message: `${field} is not a valid id` });
+    }
+    if (ids.length === 0) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const docs = await Model.find({ _id: { $in: ids }, business: businessId }).select(select).lean();
+    const byId = new Map(docs.map((d) => [String(d._id), d]));
+
+    for (const [field, id] of entries) {
+      if (!mongoose.isValidObjectId(id)) continue;
+      const doc = byId.get(String(id));
+      const issue = problem(doc);
+      if (issue) problems.push({ field, id, ...issue });
+      else found[field] = doc;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw badRequest("Invalid references", { code: "INVALID_REFERENCE", references: problems });
+  }
+  return found;
+}
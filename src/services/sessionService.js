@@ -0,0 +1,205 @@
+// services/sessionService.js
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { notFound, unauthorized } from "../utils/httpError.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "remember me" sessions live for REFRESH_TOKEN_TTL_DAYS; others for one day
+function sessionTtlMs(remember) {
+  const rememberDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+  return remember ? rememberDays * DAY_MS : DAY_MS;
+}
+
+// Refresh token format: "<sessionId>.<random>" so we can find the session without scanning hashes
+function formatRefreshToken(sessionId, raw) {
+  return `${sessionId}.${raw}`;
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, raw] = String(token || "").split(".");
+  if (!sessionId || !raw || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, raw };
+}
+
+function describeDevice(userAgent = "") {
+  const ua = String(userAgent);
+  if (!ua) return undefined;
+
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    null;
+  const os =
+    (/Windows/.test(ua) && "Windows") ||
+    (/Android/.test(ua) && "Android") ||
+    (/(iPhone|iPad|iOS)/.test(ua) && "iOS") ||
+    (/Mac OS X/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || ua.slice(0, 160);
+}
+
+async function revokeSessionDoc(sessionId, reason) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Start a new session (refresh-token family) for a user.
+ * Returns the session and the raw refresh token (only ever returned once).
+ */
+export async function createSession({ user, ip, userAgent, remember = false, linkedUsers = [] }) {
+  const raw = generateToken();
+  const now = new Date();
+
+  const session = await Session.create({
+    business: user.business,
+    user: user._id,
+    refreshTokenHash: hashToken(raw),
+    device: describeDevice(userAgent),
+    ip: ip || undefined,
+    userAgent: userAgent ? String(userAgent).slice(0, 512) : undefined,
+    remember: Boolean(remember),
+    linkedUsers: [...new Set([String(user._id), ...linkedUsers.map(String)])],
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + sessionTtlMs(remember)),
+  });
+
+  return { session, refreshToken: formatRefreshToken(session._id, raw) };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Presenting an already-rotated token revokes the whole session.
+ */
+export async function rotateSession({ refreshToken, ip, userAgent }) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw unauthorized("Invalid refresh token");
+
+  const session = await Session.findById(parsed.sessionId).select("+refreshTokenHash +previousTokenHashes");
+  if (!session) throw unauthorized("Invalid refresh token");
+  if (session.revokedAt) throw unauthorized("Session has been revoked");
+  if (session.expiresAt.getTime() <= Date.now()) throw unauthorized("Session has expired");
+
+  const presentedHash = hashToken(parsed.raw);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    await revokeSessionDoc(session._id, "reuse_detected");
+    throw unauthorized("Refresh token reuse detected; session revoked");
+  }
+  if (presentedHash !== session.refreshTokenHash) throw unauthorized("Invalid refresh token");
+
+  const user = await User.findById(session.user);
+  if (!user || user.status !== "active") {
+    await revokeSessionDoc(session._id, "user_inactive");
+    throw unauthorized("Account is not active");
+  }
+  if (user.passwordChangedAt && user.passwordChangedAt > session.createdAt) {
+    await revokeSessionDoc(session._id, "password_change");
+    throw unauthorized("Password was changed; please sign in again");
+  }
+
+  const raw = generateToken();
+
+  // Conditional on the hash we just checked: two concurrent refreshes with the
+  // same token cannot both win; the loser is treated as reuse.
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(raw),
+        lastUsedAt: new Date(),
+        ...(ip ? { ip } : {}),
+        ...(userAgent ? { userAgent: String(userAgent).slice(0, 512), device: describeDevice(userAgent) } : {}),
+      },
+      $push: {
+        previousTokenHashes: { $each: [presentedHash], $slice: -Session.MAX_PREVIOUS_HASHES },
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSessionDoc(session._id, "reuse_detected");
+    throw unauthorized("Refresh token reuse detected; session revoked");
+  }
+
+  return { session: rotated, user, refreshToken: formatRefreshToken(rotated._id, raw) };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout).
+ * Silently ignores unknown/invalid tokens so logout is always safe to call.
+ */
+export async function revokeSessionByRefreshToken(refreshToken, reason = "logout") {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  const session = await Session.findById(parsed.sessionId).select("+refreshTokenHash");
+  if (!session || session.refreshTokenHash !== hashToken(parsed.raw)) return;
+
+  await revokeSessionDoc(session._id, reason);
+}
+
+export async function revokeSession({ userId, sessionId, reason = "revoked" }) {
+  if (!mongoose.isValidObjectId(sessionId)) throw notFound("Session not found");
+
+  const session = await Session.findOne({ _id: sessionId, user: userId }).select("_id revokedAt");
+  if (!session) throw notFound("Session not found");
+
+  await revokeSessionDoc(session._id, reason);
+}
+
+export async function revokeAllSessions({ userId, exceptSessionId = null, reason = "signout_all" }) {
+  const result = await Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}),
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return { revoked: result.modifiedCount ?? result.nModified ?? 0 };
+}
+
+/**
+ * Sign out everywhere: revoke every session and bump the user's token version
+ * so access tokens already issued stop working immediately.
+ */
+export async function signOutEverywhere(userId) {
+  const result = await revokeAllSessions({ userId, reason: "signout_all" });
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  return result;
+}
+
+export async function listActiveSessions({ userId, currentSessionId = null }) {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("device ip userAgent remember lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map((s) => ({
+    ...s,
+    current: currentSessionId ? String(s._id) === String(currentSessionId) : false,
+  }));
+}
+
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt").lean();
+  return Boolean(session && !session.revokedAt && session.expiresAt.getTime() > Date.now());
+}
@@ -1,8 +1,12 @@
 // src/services/shiftService.js
+import mongoose from "mongoose";
 import Shift from "../models/Shift.js";
 import { badRequest, forbidden, notFound, conflict } from "../utils/httpError.js";
-
-const isManagerLike = (role) => role === "owner" || role === "manager";
+import { hasPermission } from "../utils/permissions.js";
+import { userProjection } from "../utils/userVisibility.js";
+import { locationScope, isInLocationScope } from "../utils/locationScope.js";
+import { queueTemplatedEmail } from "./mailService.js";
+import { assertValidReferences } from "./referenceService.js";
 
 function requireSameBusiness(reqBusinessId, docBusinessId) {
   if (String(reqBusinessId) !== String(docBusinessId)) {
@@ -10,6 +14,15 @@ function requireSameBusiness(reqBusinessId, docBusinessId) {
   }
 }
 
+// Location-scoped managers only work on shifts at their locations
+function assertShiftInScope(actor, shift) {
+  if (!isInLocationScope(actor, shift.location)) throw forbidden("This shift is outside your locations");
+}
+
+function assertLocationInScope(actor, locationId) {
+  if (!isInLocationScope(actor, locationId)) throw forbidden("Shifts must be at one of your locations");
+}
+
 function parseDate(d, fieldName) {
   const dt = new Date(d);
   if (Number.isNaN(dt.getTime())) throw badRequest(`Invalid ${fieldName}`);
@@ -43,12 +56,14 @@ export async function createShift({
   roleTag,
   notes,
 }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can create shifts");
+  if (!hasPermission(actor, "shifts.manage")) throw forbidden("You do not have permission to create shifts");
 
   const s = parseDate(startAt, "startAt");
   const e = parseDate(endAt, "endAt");
   if (e <= s) throw badRequest("endAt must be after startAt");
 
+  assertLocationInScope(actor, locationId);
+  await assertValidReferences(businessId, { users: { userId }, locations: { locationId } });
   await ensureNoShiftOverlap({ businessId, userId, startAt: s, endAt: e });
 
   const shift = await Shift.create({
@@ -78,13 +93,15 @@ export async function updateShift({
   roleTag,
   notes,
 }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can update shifts");
+  if (!hasPermission(actor, "shifts.manage")) throw forbidden("You do not have permission to update shifts");
 
   const shift = await Shift.findById(shiftId);
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
+  assertShiftInScope(actor, shift);
   if (shift.status === "canceled") throw conflict("Canceled shifts cannot be edited");
+  if (locationId !== undefined) assertLocationInScope(actor, locationId);
 
   // Update fields if provided
   const nextStart = startAt ? parseDate(startAt, "startAt") : shift.startAt;
@@ -93,6 +110,13 @@ export async function updateShift({
 
   const nextUser = userId !== undefined ? (userId || null) : shift.user;
 
+  // Only references that change are checked; an old shift may keep an archived location
+  const changed = (next, current) => (next && String(next) !== String(current) ? next : null);
+  await assertValidReferences(businessId, {
+    users: { userId: changed(userId, shift.user) },
+    locations: { locationId: changed(locationId, shift.location) },
+  });
+
   await ensureNoShiftOverlap({
     businessId,
     userId: nextUser,
@@ -116,12 +140,13 @@ export async function updateShift({
 }
 
 export async function publishShift({ businessId, actor, shiftId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can publish shifts");
+  if (!hasPermission(actor, "shifts.publish")) throw forbidden("You do not have permission to publish shifts");
 
   const shift = await Shift.findById(shiftId);
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
+  assertShiftInScope(actor, shift);
   if (shift.status === "canceled") throw conflict("Canceled shifts cannot be published");
 
   // publishing requires valid times already ensured by schema
@@ -130,16 +155,33 @@ export async function publishShift({ businessId, actor, shiftId }) {
   shift.updatedBy = actor._id;
 
   await shift.save();
+
+  // Let the assignee know (honors their email notification preference). The shift
+  // is already published, so a failed notification is logged rather than surfaced.
+  if (shift.user) {
+    try {
+      await queueTemplatedEmail({
+        businessId,
+        userId: shift.user,
+        template: "shiftPublished",
+        data: { shift: shift.toObject() },
+      });
+    } catch (err) {
+      console.error("Shift published email failed:", err.message);
+    }
+  }
+
   return shift;
 }
 
 export async function cancelShift({ businessId, actor, shiftId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can cancel shifts");
+  if (!hasPermission(actor, "shifts.manage")) throw forbidden("You do not have permission to cancel shifts");
 
   const shift = await Shift.findById(shiftId);
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
+  assertShiftInScope(actor, shift);
   if (shift.status === "canceled") return shift;
 
   shift.status = "canceled";
@@ -150,15 +192,17 @@ export async function cancelShift({ businessId, actor, shiftId }) {
 }
 
 export async function assignShift({ businessId, actor, shiftId, userId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can assign shifts");
+  if (!hasPermission(actor, "shifts.manage")) throw forbidden("You do not have permission to assign shifts");
   if (!userId) throw badRequest("userId is required");
 
   const shift = await Shift.findById(shiftId);
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
+  assertShiftInScope(actor, shift);
   if (shift.status === "canceled") throw conflict("Canceled shifts cannot be assigned");
 
+  await assertValidReferences(businessId, { users: { userId } });
   await ensureNoShiftOverlap({
     businessId,
     userId,
@@ -175,12 +219,13 @@ export async function assignShift({ businessId, actor, shiftId, userId }) {
 }
 
 export async function unassignShift({ businessId, actor, shiftId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can unassign shifts");
+  if (!hasPermission(actor, "shifts.manage")) throw forbidden("You do not have permission to unassign shifts");
 
   const shift = await Shift.findById(shiftId);
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
+  assertShiftInScope(actor, shift);
   if (shift.status === "canceled") throw conflict("Canceled shifts cannot be unassigned");
 
   shift.user = null;
@@ -192,27 +237,41 @@ export async function unassignShift({ businessId, actor, shiftId }) {
 
 export async function getShift({ businessId, actor, shiftId }) {
   const shift = await Shift.findById(shiftId)
-    .populate("user", "firstName lastName displayName email role")
+    .populate("user", userProjection(actor))
     .lean();
 
   if (!shift) throw notFound("Shift not found");
   requireSameBusiness(businessId, shift.business);
 
-  // Employees can only view their own shifts, OR open published shifts
-  if (!isManagerLike(actor.role)) {
+  // Without shifts.viewAll: only your own shifts, OR open published shifts
+  if (!hasPermission(actor, "shifts.viewAll")) {
     const isMine = shift.user?._id && String(shift.user._id) === String(actor._id);
     const isOpenPublished = !shift.user && shift.status === "published";
     if (!isMine && !isOpenPublished) throw forbidden("You can only view your own shifts");
+  } else if (String(shift.user?._id) !== String(actor._id)) {
+    assertShiftInScope(actor, shift);
   }
 
   return shift;
 }
 
-export async function listShifts({ businessId, actor, from, to, userId, status, mine = false, includeOpen = true }) {
+export async function listShifts({
+  businessId,
+  actor,
+  from,
+  to,
+  userId,
+  status,
+  locationId,
+  mine = false,
+  includeOpen = true,
+}) {
   const q = Shift.find().byBusiness(businessId);
 
-  // Employees default to only theirs (and optionally open published)
-  if (!isManagerLike(actor.role)) {
+  const canViewAll = hasPermission(actor, "shifts.viewAll");
+
+  // Without shifts.viewAll: only theirs (and optionally open published)
+  if (!canViewAll) {
     q.where({
       $or: [
         { user: actor._id },
@@ -223,6 +282,15 @@ export async function listShifts({ businessId, actor, from, to, userId, status,
     const filterUser = mine ? actor._id : userId;
     if (filterUser) q.where({ user: filterUser });
     if (status) q.where({ status });
+
+    // Location-scoped managers: their locations' shifts, plus their own
+    const scope = locationScope(actor);
+    if (scope) q.where({ $or: [{ location: { $in: scope } }, { user: actor._id }] });
+  }
+
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) throw badRequest("Invalid locationId");
+    q.where({ location: locationId });
   }
 
   if (from) q.where({ startAt: { $gte: new Date(from) } });
@@ -231,7 +299,58 @@ export async function listShifts({ businessId, actor, from, to, userId, status,
   q.sort({ startAt: 1 });
 
   // Managers often want to see who’s assigned
-  if (isManagerLike(actor.role)) q.populate("user", "firstName lastName displayName email role");
+  if (canViewAll) q.populate("user", userProjection(actor));
 
   return q.lean();
 }
+
+/**
+ * Called when a user is removed: their future draft shifts are canceled and
+ * their future published shifts become open shifts so they can be reassigned.
+ */
+export async function releaseUserShifts({ businessId, actor, userId, now = new Date() }) {
+  const upcoming = { business: businessId, user: userId, startAt: { $gt: now } };
+
+  const [canceled, unassigned] = await Promise.all([
+    Shift.updateMany({ ...upcoming, status: "draft" }, { $set: { status: "canceled", updatedBy: actor._id } }),
+    Shift.updateMany({ ...upcoming, status: "published" }, { $set: { user: null, updatedBy: actor._id } }),
+  ]);
+
+  return { canceled: canceled.modifiedCount, unassigned: unassigned.modifiedCount };
+}
+
+/**
+ * Future shifts (draft + published) at a location, e.g. before archiving it.
+ * Returns { published, draft } counts.
+ */
+export async function countUpcomingLocationShifts({ businessId, locationId, now = new Date() }) {
+  const upcoming = { business: businessId, location: locationId, startAt: { $gt: now } };
+
+  const [published, draft] = await Promise.all([
+    Shift.countDocuments({ ...upcoming, status: "published" }),
+    Shift.countDocuments({ ...upcoming, status: "draft" }),
+  ]);
+
+  return { published, draft };
+}
+
+/**
+ * Called when a location is archived: its future shifts are either canceled
+ * (action "cancel") or moved to `toLocationId` (action "reassign").
+ */
+export async function releaseLocationShifts({ businessId, actor, locationId, action, toLocationId, now = new Date() }) {
+  const upcoming = {
+    business: businessId,
+    location: locationId,
+    startAt: { $gt: now },
+    status: { $in: ["draft", "published"] },
+  };
+
+  const update =
+    action === "reassign"
+      ? { $set: { location: toLocationId, updatedBy: actor._id } }
+      : { $set: { status: "canceled", updatedBy: actor._id } };
+
+  const result = await Shift.updateMany(upcoming, update);
+  return { [action === "reassign" ? "reassigned" : "canceled"]: result.modifiedCount };
+}
@@ -0,0 +1,216 @@
+// services/stockService.js
+// Stock movement ledger. Every change to InventoryItem.stockOnHandCached goes
+// through recordMovement: a conditional $inc (item active, enough stock) applies
+// the delta, then the StockMovement row is appended; if the insert fails the
+// delta is reversed, so the cached level stays equal to the ledger sum. No
+// transaction, so this also runs on a standalone MongoDB.
+// The ledger (with createdBy) is the record of stock changes; they are not
+// duplicated into the audit log.
+import mongoose from "mongoose";
+import InventoryItem from "../models/InventoryItem.js";
+import StockMovement from "../models/StockMovement.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
+import { isInLocationScope } from "../utils/locationScope.js";
+import { userProjection } from "../utils/userVisibility.js";
+import { paginate, parseSort } from "../utils/pagination.js";
+import { assertValidReferences } from "./referenceService.js";
+import { getInventorySettings, canSeeCost, serializeItem } from "./inventoryService.js";
+
+// Direction of `quantity` per type; adjust takes a signed quantity.
+// Transfers are reserved for a future transfer flow (both legs in one request).
+const MOVEMENT_DIRECTIONS = { receive: 1, return: 1, use: -1, sale: -1, adjust: 0 };
+const COSTED_TYPES = ["receive", "adjust"];
+const TYPES = StockMovement.schema.path("type").enumValues;
+
+const MOVEMENT_SORTS = { createdAt: "createdAt" };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parseDate(d, fieldName) {
+  const dt = new Date(d);
+  if (Number.isNaN(dt.getTime())) throw badRequest(`Invalid ${fieldName}`);
+  return dt;
+}
+
+// Trimmed string or undefined; problems are collected into `errors`
+function optionalText(value, field, max, errors) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value !== "string") {
+    errors[field] = `${field} must be a string`;
+    return undefined;
+  }
+  if (value.trim().length > max) {
+    errors[field] = `${field} must be at most ${max} characters`;
+    return undefined;
+  }
+  return value.trim() || undefined;
+}
+
+function serializeMovement(movement, { showCost }) {
+  const plain = typeof movement.toObject === "function" ? movement.toObject() : { ...movement };
+  if (!showCost) delete plain.unitCost;
+  return plain;
+}
+
+/**
+ * Validate a movement request into StockMovement fields (without business / item).
+ * Throws 400 with per-field details.
+ */
+function buildMovementFields(body, { showCost, trackCost }) {
+  const errors = {};
+  const { type, quantity } = body;
+
+  if (!Object.prototype.hasOwnProperty.call(MOVEMENT_DIRECTIONS, type)) {
+    throw badRequest(`type must be one of: ${Object.keys(MOVEMENT_DIRECTIONS).join(", ")}`);
+  }
+
+  const direction = MOVEMENT_DIRECTIONS[type];
+  const n = quantity === null || quantity === "" ? NaN : Number(quantity);
+  let quantityDelta;
+  if (!Number.isFinite(n) || n === 0) errors.quantity = "quantity must be a non-zero number";
+  else if (direction !== 0 && n < 0) errors.quantity = `quantity must be positive for ${type}`;
+  else quantityDelta = direction === 0 ? n : direction * n;
+
+  let unitCost;
+  if (body.unitCost !== undefined && body.unitCost !== null && body.unitCost !== "") {
+    if (!COSTED_TYPES.includes(type)) errors.unitCost = `unitCost can only be recorded for ${COSTED_TYPES.join(" / ")}`;
+    else if (!trackCost) errors.unitCost = "Enable cost tracking (settings.inventory.trackCost) to record costs";
+    else if (!showCost) throw forbidden("You do not have permission to record costs");
+    else {
+      unitCost = Number(body.unitCost);
+      if (!Number.isFinite(unitCost) || unitCost < 0) errors.unitCost = "unitCost must be a number >= 0";
+    }
+  }
+
+  const reason = optionalText(body.reason, "reason", 200, errors);
+  const note = optionalText(body.note, "note", 2000, errors);
+
+  let reference;
+  if (body.reference !== undefined && body.reference !== null) {
+    const kind = isPlainObject(body.reference) ? body.reference.kind : undefined;
+    const id = isPlainObject(body.reference) ? body.reference.id : undefined;
+    if (typeof kind !== "string" || !kind.trim() || kind.trim().length > 60 || !mongoose.isValidObjectId(id)) {
+      errors.reference = "reference must be { kind (max 60 characters), id }";
+    } else {
+      reference = { kind: kind.trim(), id };
+    }
+  }
+
+  if (Object.keys(errors).length > 0) throw badRequest("Invalid stock movement", errors);
+
+  return { type, quantityDelta, unitCost, reason, note, reference };
+}
+
+// Why the conditional stock update matched nothing
+async function rejectMovement({ businessId, itemId, quantityDelta }) {
+  const item = await InventoryItem.findOne({ _id: itemId, business: businessId })
+    .select("status stockOnHandCached")
+    .lean();
+
+  if (!item) throw notFound("Inventory item not found");
+  if (item.status === "archived") {
+    throw conflict("Archived items cannot record stock movements; restore the item first", { code: "ITEM_ARCHIVED" });
+  }
+  throw conflict("Not enough stock on hand", {
+    code: "INSUFFICIENT_STOCK",
+    stockOnHand: item.stockOnHandCached,
+    quantityDelta,
+  });
+}
+
+/**
+ * Record a receive / adjust / use / sale / return movement for an active item.
+ * Body: { type, quantity, unitCost?, reason?, note?, location?, reference?: { kind, id } }
+ * - quantity is positive for receive / return (adds) and use / sale (removes);
+ *   adjust takes a signed quantity (e.g. -3 after a cycle count)
+ * - unless settings.inventory.allowNegativeStock is on, movements that would take
+ *   stock below 0 are rejected with 409 INSUFFICIENT_STOCK
+ * Returns { movement, item } with the updated stock level.
+ */
+export async function recordMovement({ businessId, actor, itemId, body = {} }) {
+  if (!isPlainObject(body)) throw badRequest("Body must be an object");
+  if (!mongoose.isValidObjectId(itemId)) throw notFound("Inventory item not found");
+
+  const settings = await getInventorySettings(businessId);
+  const showCost = canSeeCost(settings, actor);
+  const fields = buildMovementFields(body, { showCost, trackCost: settings.trackCost });
+
+  if (body.location) {
+    await assertValidReferences(businessId, { locations: { location: body.location } });
+    if (!isInLocationScope(actor, body.location)) throw forbidden("Stock movements must be at one of your locations");
+    fields.location = body.location;
+  }
+
+  const movementFields = { ...fields, business: businessId, item: itemId, createdBy: actor._id };
+  try {
+    await new StockMovement(movementFields).validate();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.ValidationError)) throw err;
+    throw badRequest(
+      "Invalid stock movement",
+      Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]))
+    );
+  }
+
+  const { quantityDelta } = fields;
+  const guard = quantityDelta < 0 && !settings.allowNegativeStock ? { stockOnHandCached: { $gte: -quantityDelta } } : {};
+
+  // Conditional on the item still being active (and holding enough stock)
+  const item = await InventoryItem.findOneAndUpdate(
+    { _id: itemId, business: businessId, status: "active", ...guard },
+    { $inc: { stockOnHandCached: quantityDelta }, $set: { stockUpdatedAt: new Date() } },
+    { new: true }
+  );
+  if (!item) await rejectMovement({ businessId, itemId, quantityDelta });
+
+  let movement;
+  try {
+    movement = await StockMovement.create(movementFields);
+  } catch (err) {
+    // No ledger row: give the stock back so the cache still matches the ledger
+    await InventoryItem.updateOne({ _id: itemId, business: businessId }, { $inc: { stockOnHandCached: -quantityDelta } });
+    throw err;
+  }
+
+  return {
+    movement: serializeMovement(movement, { showCost }),
+    item: serializeItem(item, { showCost }),
+  };
+}
+
+/**
+ * GET /api/inventory/items/:id/movements
+ * - type: one of the StockMovement types
+ * - from / to: createdAt range
+ * - sort: createdAt (default -createdAt, newest first)
+ * Archived items keep their history. Returns { items, total, nextCursor, limit }.
+ */
+export async function listMovements({ businessId, actor, itemId, type, from, to, sort, cursor, limit }) {
+  if (!mongoose.isValidObjectId(itemId)) throw notFound("Inventory item not found");
+  const exists = await InventoryItem.exists({ _id: itemId, business: businessId });
+  if (!exists) throw notFound("Inventory item not found");
+
+  const filter = { business: businessId, item: itemId };
+  if (type) {
+    if (!TYPES.includes(type)) throw badRequest(`type must be one of: ${TYPES.join(", ")}`);
+    filter.type = type;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from");
+    if (to) filter.createdAt.$lte = parseDate(to, "to");
+  }
+
+  const showCost = canSeeCost(await getInventorySettings(businessId), actor);
+
+  return paginate(StockMovement, {
+    filter,
+    sort: parseSort(sort, MOVEMENT_SORTS, "-createdAt"),
+    cursor,
+    limit,
+    select: showCost ? undefined : "-unitCost",
+    populate: { path: "createdBy", select: userProjection(actor) },
+  });
+}
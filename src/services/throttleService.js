@@ -0,0 +1,159 @@
+// services/throttleService.js
+import AuthThrottle from "../models/AuthThrottle.js";
+import User from "../models/User.js";
+import { tooManyRequests } from "../utils/httpError.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Budgets per endpoint/dimension.
+ * - freeAttempts: attempts inside the window before backoff starts
+ * - backoff: baseDelayMs * 2^(attempts - freeAttempts - 1), capped at maxDelayMs
+ * - lockAfter/lockMs (account policy only): lock the User after that many failures
+ */
+export const POLICIES = {
+  loginAccount: {
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE,
+    windowMs: 60 * MINUTE,
+    lockAfter: Number(process.env.LOGIN_LOCK_AFTER || 10),
+    lockMs: Number(process.env.LOGIN_LOCK_MINUTES || 30) * MINUTE,
+  },
+  loginIp: { freeAttempts: 20, baseDelayMs: 1000, maxDelayMs: 15 * MINUTE, windowMs: 60 * MINUTE },
+
+  // forgot-password counts every request, not just failures
+  forgotPasswordAccount: { freeAttempts: 3, baseDelayMs: MINUTE, maxDelayMs: 60 * MINUTE, windowMs: 60 * MINUTE },
+  forgotPasswordIp: { freeAttempts: 10, baseDelayMs: MINUTE, maxDelayMs: 60 * MINUTE, windowMs: 60 * MINUTE },
+
+  // reset-password counts invalid tokens
+  resetPasswordAccount: { freeAttempts: 5, baseDelayMs: MINUTE, maxDelayMs: 60 * MINUTE, windowMs: 60 * MINUTE },
+  resetPasswordIp: { freeAttempts: 10, baseDelayMs: MINUTE, maxDelayMs: 60 * MINUTE, windowMs: 60 * MINUTE },
+
+  // wrong second-factor codes, per user
+  twoFactorUser: { freeAttempts: 5, baseDelayMs: 30 * 1000, maxDelayMs: 15 * MINUTE, windowMs: 30 * MINUTE },
+
+  // wrong current password on change-password, per user
+  changePasswordUser: { freeAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15 * MINUTE, windowMs: 60 * MINUTE },
+};
+
+function getPolicy(name) {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown throttle policy "${name}"`);
+  return policy;
+}
+
+// Account keys are per email + business ("*" when the caller did not pick a business)
+export function accountKey(email, businessId = null) {
+  return `${businessId ? String(businessId) : "*"}:${String(email || "").toLowerCase().trim()}`;
+}
+
+function throttleKey(policyName, id) {
+  return `${policyName}:${id}`;
+}
+
+function backoffMs(policy, count) {
+  const over = count - policy.freeAttempts;
+  if (over <= 0) return 0;
+  return Math.min(policy.baseDelayMs * 2 ** (over - 1), policy.maxDelayMs);
+}
+
+/**
+ * Throws 429 (with retryAfterSeconds) if any of the given counters is in backoff.
+ * checks: [{ policy: "loginIp", id: req.ip }, ...]
+ */
+export async function assertNotThrottled(checks) {
+  const keys = checks.filter((c) => c.id).map((c) => throttleKey(c.policy, c.id));
+  if (keys.length === 0) return;
+
+  const now = new Date();
+  const blocked = await AuthThrottle.find({ key: { $in: keys }, blockedUntil: { $gt: now } })
+    .select("blockedUntil")
+    .lean();
+  if (blocked.length === 0) return;
+
+  const until = Math.max(...blocked.map((b) => b.blockedUntil.getTime()));
+  throw tooManyRequests("Too many attempts. Try again later.", {
+    code: "RATE_LIMITED",
+    retryAfterSeconds: Math.ceil((until - now.getTime()) / 1000),
+  });
+}
+
+/**
+ * Count one attempt (a failed login, a reset request, ...) and apply backoff.
+ * Returns the updated counter.
+ */
+export async function registerAttempt(policyName, id) {
+  if (!id) return null;
+
+  const policy = getPolicy(policyName);
+  const key = throttleKey(policyName, id);
+  const now = new Date();
+
+  // Lapsed window -> start over
+  await AuthThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+  const counter = await AuthThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { count: 1 },
+      $set: { lastAttemptAt: now, expiresAt: new Date(now.getTime() + policy.windowMs) },
+      $setOnInsert: { policy: policyName, firstAttemptAt: now },
+    },
+    { upsert: true, new: true }
+  );
+
+  const delay = backoffMs(policy, counter.count);
+  if (delay > 0) {
+    counter.blockedUntil = new Date(now.getTime() + delay);
+    await counter.save();
+  }
+
+  return counter;
+}
+
+export async function clearAttempts(policyName, id) {
+  if (!id) return;
+  await AuthThrottle.deleteOne({ key: throttleKey(policyName, id) });
+}
+
+/**
+ * Record a failed login for an account (+ IP). Once the account budget is
+ * exhausted, locks `users` (the membership(s) the password was tried against;
+ * several when the same email is in several businesses) and writes an
+ * "auth.lockout" audit event for each.
+ */
+export async function registerFailedLogin({ email, businessId = null, users = [], ip }) {
+  const policy = POLICIES.loginAccount;
+
+  const [accountCounter] = await Promise.all([
+    registerAttempt("loginAccount", accountKey(email, businessId)),
+    registerAttempt("loginIp", ip),
+  ]);
+  if (!accountCounter || accountCounter.count < policy.lockAfter) return;
+
+  const toLock = users.filter((u) => u && !u.isLocked());
+  if (toLock.length === 0) return;
+
+  const lockedUntil = new Date(Date.now() + policy.lockMs);
+  await User.updateMany({ _id: { $in: toLock.map((u) => u._id) } }, { $set: { lockedUntil } });
+
+  for (const user of toLock) {
+    // eslint-disable-next-line no-await-in-loop
+    await recordAuditEvent({
+      businessId: user.business,
+      action: "auth.lockout",
+      target: { kind: "User", id: user._id },
+      meta: { failedAttempts: accountCounter.count, lockedUntil },
+      ip,
+    });
+  }
+}
+
+export async function clearFailedLogins({ email, businessId = null }) {
+  await Promise.all([
+    clearAttempts("loginAccount", accountKey(email, businessId)),
+    clearAttempts("loginAccount", accountKey(email, null)),
+  ]);
+}
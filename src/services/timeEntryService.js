@@ -1,24 +1,39 @@
 // services/timeEntryService.js
+import mongoose from "mongoose";
 import TimeEntry from "../models/TimeEntry.js";
 import User from "../models/User.js";
 import Business from "../models/Business.js";
 import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
 import { computeManualTotals, timeToMinutes } from "../utils/timeMath.js";
-
-function isManagerLike(role) {
-  return role === "owner" || role === "manager";
-}
+import { hasPermission } from "../utils/permissions.js";
+import { userProjection } from "../utils/userVisibility.js";
+import { locationScope } from "../utils/locationScope.js";
+import { assertValidReferences } from "./referenceService.js";
 
 async function getBusinessSettings(businessId) {
   const biz = await Business.findById(businessId).select("settings").lean();
   return biz?.settings || {};
 }
 
-async function ensureUserInBusiness(businessId, userId) {
-  const u = await User.findOne({ _id: userId, business: businessId }).select("_id role status").lean();
-  if (!u) throw notFound("User not found in this business");
-  if (u.status === "deleted" || u.status === "disabled") throw forbidden("User is not active");
-  return u;
+/**
+ * Extra filter for a location-scoped actor (utils/locationScope.js): entries at
+ * their locations, by staff assigned to their locations, or their own.
+ * null when the actor has business-wide access.
+ */
+async function locationScopeFilter(businessId, actor) {
+  const scope = locationScope(actor);
+  if (!scope) return null;
+
+  const staff = await User.find({ business: businessId, locations: { $in: scope } }).distinct("_id");
+  return { $or: [{ location: { $in: scope } }, { user: { $in: staff } }, { user: actor._id }] };
+}
+
+async function assertEntryInScope(businessId, actor, entry) {
+  const filter = await locationScopeFilter(businessId, actor);
+  if (!filter) return;
+  if (!(await TimeEntry.exists({ _id: entry._id, ...filter }))) {
+    throw forbidden("This time entry is outside your locations");
+  }
 }
 
 function requireSameBusiness(reqBusinessId, docBusinessId) {
@@ -89,12 +104,12 @@ export async function createManualTimeEntry({
 }) {
   const userId = targetUserId || actor._id;
 
-  // RBAC: employees can only create for themselves
-  if (!isManagerLike(actor.role) && String(userId) !== String(actor._id)) {
-    throw forbidden("Employees can only create their own time entries");
+  // Without timeEntries.manage: only for yourself
+  if (!hasPermission(actor, "timeEntries.manage") && String(userId) !== String(actor._id)) {
+    throw forbidden("You can only create your own time entries");
   }
 
-  await ensureUserInBusiness(businessId, userId);
+  await assertValidReferences(businessId, { users: { targetUserId: userId }, locations: { locationId } });
 
   if (!workDate) throw badRequest("workDate is required (YYYY-MM-DD)");
   if (!startTime) throw badRequest("startTime is required (HH:mm)");
@@ -149,15 +164,19 @@ export async function updateManualTimeEntry({
   requireSameBusiness(businessId, entry.business);
   ensureManual(entry);
 
-  // RBAC: employees can only edit their own
-  if (!isManagerLike(actor.role) && String(entry.user) !== String(actor._id)) {
-    throw forbidden("Employees can only edit their own time entry");
+  // Without timeEntries.manage: only your own
+  if (!hasPermission(actor, "timeEntries.manage") && String(entry.user) !== String(actor._id)) {
+    throw forbidden("You can only edit your own time entry");
   }
 
   if (!isEditableStatus(entry.status)) {
     throw conflict("Only draft or rejected entries can be edited");
   }
 
+  if (locationId && String(locationId) !== String(entry.location)) {
+    await assertValidReferences(businessId, { locations: { locationId } });
+  }
+
   const nextWorkDate = workDate ?? entry.workDate;
   const nextStart = startTime ?? entry.startTime;
   const nextEnd = endTime ?? entry.endTime;
@@ -199,8 +218,8 @@ export async function submitTimeEntry({ businessId, actor, entryId }) {
   requireSameBusiness(businessId, entry.business);
   ensureManual(entry);
 
-  if (!isManagerLike(actor.role) && String(entry.user) !== String(actor._id)) {
-    throw forbidden("Employees can only submit their own time entry");
+  if (!hasPermission(actor, "timeEntries.manage") && String(entry.user) !== String(actor._id)) {
+    throw forbidden("You can only submit your own time entry");
   }
 
   if (!isEditableStatus(entry.status)) {
@@ -223,13 +242,14 @@ export async function submitTimeEntry({ businessId, actor, entryId }) {
 }
 
 export async function approveTimeEntry({ businessId, actor, entryId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can approve time entries");
+  if (!hasPermission(actor, "timeEntries.approve")) throw forbidden("You do not have permission to approve time entries");
 
   const entry = await TimeEntry.findById(entryId);
   if (!entry) throw notFound("Time entry not found");
   requireSameBusiness(businessId, entry.business);
   ensureManual(entry);
 
+  await assertEntryInScope(businessId, actor, entry);
   if (entry.status !== "submitted") throw conflict("Only submitted time entries can be approved");
 
   entry.status = "approved";
@@ -242,7 +262,7 @@ export async function approveTimeEntry({ businessId, actor, entryId }) {
 }
 
 export async function rejectTimeEntry({ businessId, actor, entryId, reason }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can reject time entries");
+  if (!hasPermission(actor, "timeEntries.approve")) throw forbidden("You do not have permission to reject time entries");
   if (!reason || String(reason).trim().length < 2) throw badRequest("Rejection reason is required");
 
   const entry = await TimeEntry.findById(entryId);
@@ -250,6 +270,7 @@ export async function rejectTimeEntry({ businessId, actor, entryId, reason }) {
   requireSameBusiness(businessId, entry.business);
   ensureManual(entry);
 
+  await assertEntryInScope(businessId, actor, entry);
   if (entry.status !== "submitted") throw conflict("Only submitted time entries can be rejected");
 
   entry.status = "rejected";
@@ -266,9 +287,9 @@ export async function voidTimeEntry({ businessId, actor, entryId }) {
   requireSameBusiness(businessId, entry.business);
   ensureManual(entry);
 
-  // Employees can void their own ONLY if draft/rejected
-  if (!isManagerLike(actor.role)) {
-    if (String(entry.user) !== String(actor._id)) throw forbidden("Employees can only void their own time entry");
+  // Without timeEntries.manage: void your own ONLY if draft/rejected
+  if (!hasPermission(actor, "timeEntries.manage")) {
+    if (String(entry.user) !== String(actor._id)) throw forbidden("You can only void your own time entry");
     if (!isEditableStatus(entry.status)) throw conflict("You can only void draft or rejected entries");
   }
 
@@ -279,18 +300,27 @@ export async function voidTimeEntry({ businessId, actor, entryId }) {
   return entry;
 }
 
-export async function listTimeEntries({ businessId, actor, userId, from, to, status, mine = false }) {
-  const filterUserId = mine ? actor._id : userId;
+export async function listTimeEntries({ businessId, actor, userId, from, to, status, locationId, mine = false }) {
+  const canViewAll = hasPermission(actor, "timeEntries.viewAll");
+  const filterUserId = mine || !canViewAll ? actor._id : userId;
 
-  // Employees can only list theirs
-  if (!isManagerLike(actor.role) && !mine && filterUserId && String(filterUserId) !== String(actor._id)) {
-    throw forbidden("Employees can only view their own time entries");
+  // Without timeEntries.viewAll: only your own
+  if (!canViewAll && userId && String(userId) !== String(actor._id)) {
+    throw forbidden("You can only view your own time entries");
   }
 
   const q = TimeEntry.find().byBusiness(businessId).where({ entryType: "manual" });
 
   if (filterUserId) q.where({ user: filterUserId });
   if (status) q.where({ status });
+  if (canViewAll && !mine) {
+    const scoped = await locationScopeFilter(businessId, actor);
+    if (scoped) q.where(scoped);
+  }
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) throw badRequest("Invalid locationId");
+    q.where({ location: locationId });
+  }
 
   // Range on YYYY-MM-DD strings (lex order matches date order)
   if (from) q.where({ workDate: { $gte: String(from) } });
@@ -298,8 +328,8 @@ export async function listTimeEntries({ businessId, actor, userId, from, to, sta
 
   q.sort({ workDate: -1, startTime: -1 });
 
-  if (isManagerLike(actor.role)) {
-    q.populate("user", "firstName lastName displayName email role");
+  if (canViewAll) {
+    q.populate("user", userProjection(actor));
   }
 
   return q.lean();
@@ -307,7 +337,7 @@ export async function listTimeEntries({ businessId, actor, userId, from, to, sta
 
 export async function getTimeEntry({ businessId, actor, entryId }) {
   const entry = await TimeEntry.findById(entryId)
-    .populate("user", "firstName lastName displayName email role business")
+    .populate("user", userProjection(actor))
     .lean();
 
   if (!entry) throw notFound("Time entry not found");
@@ -315,9 +345,11 @@ export async function getTimeEntry({ businessId, actor, entryId }) {
 
   if (entry.entryType !== "manual") throw notFound("Manual time entry not found");
 
-  if (!isManagerLike(actor.role) && String(entry.user?._id) !== String(actor._id)) {
-    throw forbidden("Employees can only view their own time entry");
+  const isMine = String(entry.user?._id) === String(actor._id);
+  if (!hasPermission(actor, "timeEntries.viewAll") && !isMine) {
+    throw forbidden("You can only view your own time entry");
   }
+  if (!isMine) await assertEntryInScope(businessId, actor, entry);
 
   const settings = await getBusinessSettings(businessId);
   const roundingMinutes = settings?.timeTracking?.roundingMinutes || 0;
@@ -336,7 +368,7 @@ export async function getTimeEntry({ businessId, actor, entryId }) {
 }
 
 export async function listPendingTimeEntries({ businessId, actor, from, to, userId }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can view pending approvals");
+  if (!hasPermission(actor, "timeEntries.approve")) throw forbidden("You do not have permission to view pending approvals");
 
   const q = TimeEntry.find()
     .byBusiness(businessId)
@@ -344,22 +376,26 @@ export async function listPendingTimeEntries({ businessId, actor, from, to, user
 
   if (userId) q.where({ user: userId });
 
+  const scoped = await locationScopeFilter(businessId, actor);
+  if (scoped) q.where(scoped);
+
   // from/to are YYYY-MM-DD strings
   if (from) q.where({ workDate: { $gte: String(from) } });
   if (to) q.where({ workDate: { ...(q.getQuery().workDate || {}), $lte: String(to) } });
 
-  q.sort({ workDate: -1, startTime: -1 }).populate("user", "firstName lastName displayName email role");
+  q.sort({ workDate: -1, startTime: -1 }).populate("user", userProjection(actor));
 
   return q.lean();
 }
 
 // ✅ NEW: Bulk approve
 export async function bulkApproveTimeEntries({ businessId, actor, entryIds }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can approve time entries");
+  if (!hasPermission(actor, "timeEntries.approve")) throw forbidden("You do not have permission to approve time entries");
   if (!Array.isArray(entryIds) || entryIds.length === 0) throw badRequest("entryIds must be a non-empty array");
 
-  // Only approve submitted manual entries in this tenant
+  // Only approve submitted manual entries in this tenant (and the actor's locations)
   const approvedAt = new Date();
+  const scoped = await locationScopeFilter(businessId, actor);
 
   const result = await TimeEntry.updateMany(
     {
@@ -367,6 +403,7 @@ export async function bulkApproveTimeEntries({ businessId, actor, entryIds }) {
       business: businessId,
       entryType: "manual",
       status: "submitted",
+      ...scoped,
     },
     {
       $set: {
@@ -383,8 +420,9 @@ export async function bulkApproveTimeEntries({ businessId, actor, entryIds }) {
     _id: { $in: entryIds },
     business: businessId,
     entryType: "manual",
+    ...scoped,
   })
-    .populate("user", "firstName lastName displayName email role")
+    .populate("user", userProjection(actor))
     .lean();
 
   return {
@@ -396,11 +434,12 @@ export async function bulkApproveTimeEntries({ businessId, actor, entryIds }) {
 
 // ✅ NEW: Bulk reject
 export async function bulkRejectTimeEntries({ businessId, actor, entryIds, reason }) {
-  if (!isManagerLike(actor.role)) throw forbidden("Only managers/owners can reject time entries");
+  if (!hasPermission(actor, "timeEntries.approve")) throw forbidden("You do not have permission to reject time entries");
   if (!Array.isArray(entryIds) || entryIds.length === 0) throw badRequest("entryIds must be a non-empty array");
   if (!reason || String(reason).trim().length < 2) throw badRequest("Rejection reason is required");
 
   const rejectionReason = String(reason).trim();
+  const scoped = await locationScopeFilter(businessId, actor);
 
   const result = await TimeEntry.updateMany(
     {
@@ -408,6 +447,7 @@ export async function bulkRejectTimeEntries({ businessId, actor, entryIds, reaso
       business: businessId,
       entryType: "manual",
       status: "submitted",
+      ...scoped,
     },
     {
       $set: {
@@ -422,8 +462,9 @@ export async function bulkRejectTimeEntries({ businessId, actor, entryIds, reaso
     _id: { $in: entryIds },
     business: businessId,
     entryType: "manual",
+    ...scoped,
   })
-    .populate("user", "firstName lastName displayName email role")
+    .populate("user", userProjection(actor))
     .lean();
 
   return {
@@ -437,9 +478,9 @@ export async function bulkRejectTimeEntries({ businessId, actor, entryIds, reaso
 export async function getTimeEntrySummary({ businessId, actor, from, to, mine = false, userId }) {
   const targetUserId = mine ? actor._id : userId;
 
-  // Employees can only see their own summary
-  if (!isManagerLike(actor.role) && (!mine || (targetUserId && String(targetUserId) !== String(actor._id)))) {
-    throw forbidden("Employees can only view their own time entry summary");
+  // Without timeEntries.viewAll: only your own summary
+  if (!hasPermission(actor, "timeEntries.viewAll") && (!mine || (targetUserId && String(targetUserId) !== String(actor._id)))) {
+    throw forbidden("You can only view your own time entry summary");
   }
 
   const q = TimeEntry.find()
@@ -447,6 +488,10 @@ export async function getTimeEntrySummary({ businessId, actor, from, to, mine =
     .where({ entryType: "manual" });
 
   if (targetUserId) q.where({ user: targetUserId });
+  if (!mine) {
+    const scoped = await locationScopeFilter(businessId, actor);
+    if (scoped) q.where(scoped);
+  }
   if (from) q.where({ workDate: { $gte: String(from) } });
   if (to) q.where({ workDate: { ...(q.getQuery().workDate || {}), $lte: String(to) } });
 
@@ -0,0 +1,235 @@
+// services/twoFactorService.js
+import User from "../models/User.js";
+import Business from "../models/Business.js";
+import { badRequest, conflict, forbidden, unauthorized } from "../utils/httpError.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+  generateTotpSecret,
+  otpauthUri,
+  verifyTotp,
+  sealSecret,
+  openSecret,
+} from "../utils/totp.js";
+import { assertNotThrottled, registerAttempt, clearAttempts } from "./throttleService.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedCounter";
+
+// "abcd-ef12" style, easy to type
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(4);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+}
+
+async function loadWithSecrets(userId) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw unauthorized("Not authenticated");
+  return user;
+}
+
+export function isTwoFactorRequired(user, business) {
+  const roles = business?.settings?.security?.requireTwoFactorFor || [];
+  return roles.includes(user?.role);
+}
+
+/**
+ * Check a TOTP code (or a one-time recovery code) for a user loaded with SECRET_FIELDS.
+ * Consumes the recovery code / advances the replay counter; caller saves.
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const hashes = user.twoFactor.recoveryCodeHashes || [];
+    if (!hashes.includes(hash)) return { ok: false };
+    user.twoFactor.recoveryCodeHashes = hashes.filter((h) => h !== hash);
+    return { ok: true, usedRecoveryCode: true };
+  }
+
+  if (!code || !user.twoFactor.secret) return { ok: false };
+  const counter = verifyTotp(openSecret(user.twoFactor.secret), code, {
+    lastUsedCounter: user.twoFactor.lastUsedCounter,
+  });
+  if (counter === null) return { ok: false };
+
+  user.twoFactor.lastUsedCounter = counter;
+  return { ok: true };
+}
+
+// Wrong codes inside a session count toward the same per-user throttle as sign-in,
+// so a stolen session cannot brute-force 6-digit codes
+async function rejectInSession(userId, message) {
+  await registerAttempt("twoFactorUser", String(userId));
+  return badRequest(message);
+}
+
+/**
+ * Verify the second factor for a login/switch. Throttled per user.
+ * Returns the user (with secrets) on success; throws 401 otherwise, or 400 when
+ * `inSession` (switch-business: the caller's session is valid, only the code is wrong).
+ */
+export async function verifySecondFactor({ userId, code, recoveryCode, ip, inSession = false }) {
+  if (!code && !recoveryCode) throw badRequest("code or recoveryCode is required");
+
+  await assertNotThrottled([{ policy: "twoFactorUser", id: String(userId) }]);
+
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor?.enabled) throw badRequest("Two-factor authentication is not enabled");
+
+  const result = checkSecondFactor(user, { code, recoveryCode });
+  if (!result.ok) {
+    await registerAttempt("twoFactorUser", String(userId));
+    throw (inSession ? badRequest : unauthorized)("Invalid two-factor code");
+  }
+
+  await user.save();
+  await clearAttempts("twoFactorUser", String(userId));
+
+  if (result.usedRecoveryCode) {
+    await recordAuditEvent({
+      businessId: user.business,
+      actor: user._id,
+      action: "auth.2fa_recovery_code_used",
+      target: { kind: "User", id: user._id },
+      meta: { remaining: user.twoFactor.recoveryCodeHashes.length },
+      ip,
+    });
+  }
+
+  return user;
+}
+
+export async function getTwoFactorStatus({ user }) {
+  const withSecrets = await loadWithSecrets(user._id);
+  const business = await Business.findById(user.business).select("settings.security").lean();
+
+  return {
+    enabled: Boolean(withSecrets.twoFactor?.enabled),
+    enabledAt: withSecrets.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: withSecrets.twoFactor?.recoveryCodeHashes?.length || 0,
+    required: isTwoFactorRequired(user, business),
+  };
+}
+
+/**
+ * Step 1: generate a secret (kept pending until a code proves the app is set up).
+ */
+export async function beginEnrollment({ user }) {
+  const withSecrets = await loadWithSecrets(user._id);
+  if (withSecrets.twoFactor?.enabled) throw conflict("Two-factor authentication is already enabled");
+
+  const business = await Business.findById(user.business).select("name").lean();
+  const secret = generateTotpSecret();
+
+  withSecrets.set("twoFactor.pendingSecret", sealSecret(secret));
+  await withSecrets.save();
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: business?.name || "ZCOR" }),
+  };
+}
+
+/**
+ * Step 2: confirm with a code; returns the recovery codes (shown once).
+ */
+export async function activateEnrollment({ user, code, ip }) {
+  await assertNotThrottled([{ policy: "twoFactorUser", id: String(user._id) }]);
+
+  const withSecrets = await loadWithSecrets(user._id);
+  if (withSecrets.twoFactor?.enabled) throw conflict("Two-factor authentication is already enabled");
+  if (!withSecrets.twoFactor?.pendingSecret) throw badRequest("Start two-factor setup first");
+
+  const counter = verifyTotp(openSecret(withSecrets.twoFactor.pendingSecret), code);
+  if (counter === null) throw await rejectInSession(user._id, "Invalid two-factor code");
+
+  const recoveryCodes = newRecoveryCodes();
+  withSecrets.set("twoFactor", {
+    enabled: true,
+    enabledAt: new Date(),
+    secret: withSecrets.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    recoveryCodeHashes: recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c))),
+    lastUsedCounter: counter,
+  });
+  await withSecrets.save();
+  await clearAttempts("twoFactorUser", String(user._id));
+
+  await recordAuditEvent({
+    businessId: user.business,
+    actor: user._id,
+    action: "auth.2fa_enabled",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return { recoveryCodes };
+}
+
+export async function regenerateRecoveryCodes({ user, code, ip }) {
+  await assertNotThrottled([{ policy: "twoFactorUser", id: String(user._id) }]);
+
+  const withSecrets = await loadWithSecrets(user._id);
+  if (!withSecrets.twoFactor?.enabled) throw badRequest("Two-factor authentication is not enabled");
+
+  if (!checkSecondFactor(withSecrets, { code }).ok) throw await rejectInSession(user._id, "Invalid two-factor code");
+
+  const recoveryCodes = newRecoveryCodes();
+  withSecrets.twoFactor.recoveryCodeHashes = recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c)));
+  await withSecrets.save();
+  await clearAttempts("twoFactorUser", String(user._id));
+
+  await recordAuditEvent({
+    businessId: user.business,
+    actor: user._id,
+    action: "auth.2fa_recovery_codes_regenerated",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Requires the password and a current code (or recovery code).
+ * Not allowed when the business requires 2FA for the user's role.
+ */
+export async function disableTwoFactor({ user, password, code, recoveryCode, ip }) {
+  const business = await Business.findById(user.business).select("settings.security").lean();
+  if (isTwoFactorRequired(user, business)) {
+    throw forbidden("Your business requires two-factor authentication for your role");
+  }
+
+  await assertNotThrottled([{ policy: "twoFactorUser", id: String(user._id) }]);
+
+  const withSecrets = await User.findById(user._id).select(`+passwordHash ${SECRET_FIELDS}`);
+  if (!withSecrets?.twoFactor?.enabled) throw badRequest("Two-factor authentication is not enabled");
+
+  // 400, not 401: the session is fine, only the re-entered credentials are wrong
+  if (!password || !(await withSecrets.comparePassword(String(password)))) {
+    throw await rejectInSession(user._id, "Invalid password");
+  }
+  if (!checkSecondFactor(withSecrets, { code, recoveryCode }).ok) {
+    throw await rejectInSession(user._id, "Invalid two-factor code");
+  }
+
+  withSecrets.set("twoFactor", { enabled: false });
+  await withSecrets.save();
+  await clearAttempts("twoFactorUser", String(user._id));
+
+  await recordAuditEvent({
+    businessId: user.business,
+    actor: user._id,
+    action: "auth.2fa_disabled",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return { enabled: false };
+}
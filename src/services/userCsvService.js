@@ -0,0 +1,329 @@
+// services/userCsvService.js
+// Bulk user import / export. The export's columns are accepted by the import,
+// so a directory can be exported, edited in a spreadsheet and imported elsewhere.
+import User from "../models/User.js";
+import { badRequest, forbidden } from "../utils/httpError.js";
+import { hasPermission } from "../utils/permissions.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { PAY_FIELDS, canViewUserField, userProjection } from "../utils/userVisibility.js";
+import { ROLES, EMAIL_REGEX, canAssignRole, issueInvite } from "./invitationService.js";
+import { assertWithinPlanLimit } from "./billingService.js";
+import { buildUserDirectoryFilter } from "./userService.js";
+import { recordAuditEvent } from "./auditService.js";
+
+const MAX_ROWS = 1000;
+const PAY_TYPES = ["hourly", "salary"];
+
+// Export order; the import accepts the same headers
+const COLUMNS = [
+  "firstName",
+  "lastName",
+  "displayName",
+  "email",
+  "role",
+  "phone",
+  "employeeCode",
+  "jobTitle",
+  "payType",
+  "hourlyRate",
+  "startDate",
+];
+// Exported for information only; ignored on import
+const EXPORT_ONLY_COLUMNS = ["status"];
+
+// User document path behind each exported column (for field visibility)
+const COLUMN_PATHS = {
+  firstName: "firstName",
+  lastName: "lastName",
+  displayName: "displayName",
+  email: "email",
+  role: "role",
+  phone: "phone",
+  employeeCode: "employeeMeta.employeeCode",
+  jobTitle: "employeeMeta.jobTitle",
+  payType: "employeeMeta.payType",
+  hourlyRate: "employeeMeta.hourlyRate",
+  startDate: "employeeMeta.startDate",
+  status: "status",
+};
+
+const TEXT_LIMITS = {
+  firstName: 80,
+  lastName: 80,
+  displayName: 160,
+  phone: 40,
+  employeeCode: 50,
+  jobTitle: 120,
+};
+
+// Header matching ignores case, spaces, "_" and "-"; "name" is split into first/last
+function normalizeHeader(value) {
+  return String(value || "").toLowerCase().replace(/[\s_-]/g, "");
+}
+
+const HEADER_ALIASES = {
+  ...Object.fromEntries([...COLUMNS, ...EXPORT_ONLY_COLUMNS].map((c) => [normalizeHeader(c), c])),
+  name: "name",
+  fullname: "name",
+  emailaddress: "email",
+  title: "jobTitle",
+};
+
+// Undo the export's formula guard ("'+1 604..." -> "+1 604...")
+function cleanCell(value) {
+  return String(value ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+}
+
+function mapHeader(headerRow, actor) {
+  const columns = headerRow.map((h) => HEADER_ALIASES[normalizeHeader(h)] || null);
+  const unknown = headerRow.filter((h, i) => !columns[i] && String(h).trim());
+  if (unknown.length) throw badRequest("Unknown columns", { unknownColumns: unknown, allowed: [...COLUMNS, "name"] });
+  if (!columns.includes("email")) throw badRequest("An email column is required");
+
+  const payColumns = columns.filter((c) => PAY_FIELDS.includes(c));
+  if (payColumns.length && !hasPermission(actor, "users.viewPay")) {
+    throw forbidden("You do not have permission to import pay data", { columns: payColumns });
+  }
+  return columns;
+}
+
+function parseStartDate(value) {
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00.000Z`) : new Date(value);
+  return Number.isNaN(dt.getTime()) ? null : dt;
+}
+
+/**
+ * One CSV row -> { values, errors: [{ field, message }] }
+ */
+function validateRow(cells, columns, actor) {
+  const raw = {};
+  columns.forEach((col, i) => {
+    if (col && !EXPORT_ONLY_COLUMNS.includes(col)) raw[col] = cleanCell(cells[i]);
+  });
+
+  const errors = [];
+  const values = {};
+
+  if (raw.name && !raw.firstName && !raw.lastName) {
+    const [first, ...rest] = raw.name.split(/\s+/);
+    raw.firstName = first;
+    raw.lastName = rest.join(" ");
+  }
+
+  for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+    if (!raw[field]) continue;
+    if (raw[field].length > max) errors.push({ field, message: `${field} must be at most ${max} characters` });
+    else values[field] = raw[field];
+  }
+
+  const email = (raw.email || "").toLowerCase();
+  if (!email || !EMAIL_REGEX.test(email) || email.length > 320) {
+    errors.push({ field: "email", message: "A valid email is required" });
+  } else {
+    values.email = email;
+  }
+
+  if (!values.firstName && !values.displayName) {
+    errors.push({ field: "firstName", message: "firstName, name or displayName is required" });
+  }
+
+  const role = (raw.role || "employee").toLowerCase();
+  if (!ROLES.includes(role)) errors.push({ field: "role", message: `role must be one of: ${ROLES.join(", ")}` });
+  else if (!canAssignRole(actor.role, role)) {
+    errors.push({ field: "role", message: `You cannot create a user with role "${role}"` });
+  } else values.role = role;
+
+  if (raw.payType) {
+    const payType = raw.payType.toLowerCase();
+    if (!PAY_TYPES.includes(payType)) errors.push({ field: "payType", message: "payType must be hourly or salary" });
+    else values.payType = payType;
+  }
+
+  if (raw.hourlyRate) {
+    const rate = Number(raw.hourlyRate.replace(/^\$/, ""));
+    if (!Number.isFinite(rate) || rate < 0) {
+      errors.push({ field: "hourlyRate", message: "hourlyRate must be a number >= 0" });
+    } else values.hourlyRate = rate;
+  }
+
+  if (raw.startDate) {
+    const startDate = parseStartDate(raw.startDate);
+    if (!startDate) errors.push({ field: "startDate", message: "startDate must be a date (YYYY-MM-DD)" });
+    else values.startDate = startDate;
+  }
+
+  return { values, errors };
+}
+
+function applyImportedValues(user, values) {
+  user.set({
+    role: values.role,
+    status: "invited",
+    firstName: values.firstName,
+    lastName: values.lastName,
+    displayName: values.displayName,
+    phone: values.phone,
+    deletedAt: undefined,
+  });
+  for (const field of ["employeeCode", "jobTitle", "payType", "hourlyRate", "startDate"]) {
+    if (values[field] !== undefined) user.set(`employeeMeta.${field}`, values[field]);
+  }
+}
+
+/**
+ * Import users from CSV text.
+ * - dryRun (default true): validate only; nothing is written
+ * - Rows with errors are skipped; valid rows are created as "invited" users
+ *   (emailed an invite link when sendInvites, otherwise resend later)
+ * - Duplicates: repeated emails in the file and existing (non-deleted) users are
+ *   row errors; soft-deleted users with the same email are revived with a clean
+ *   account state (see User#resetAccountState)
+ *
+ * Returns { dryRun, summary, rows: [{ row, email, action }], errors: [{ row, field, message }] }
+ * where `row` is the 1-based record number in the file (the header is row 1).
+ */
+export async function importUsersCsv({ businessId, actor, csv, dryRun = true, sendInvites = false, ip }) {
+  if (typeof csv !== "string" || !csv.trim()) throw badRequest("CSV content is required");
+  if (sendInvites && !hasPermission(actor, "users.invite")) {
+    throw forbidden("You do not have permission to send invites");
+  }
+
+  let table;
+  try {
+    table = parseCsv(csv);
+  } catch (err) {
+    throw badRequest(`Invalid CSV: ${err.message}`);
+  }
+  if (table.length < 2) throw badRequest("CSV must have a header row and at least one data row");
+  if (table.length - 1 > MAX_ROWS) throw badRequest(`At most ${MAX_ROWS} rows can be imported at once`);
+
+  const columns = mapHeader(table[0], actor);
+  const parsed = table.slice(1).map((cells, i) => ({ row: i + 2, ...validateRow(cells, columns, actor) }));
+
+  // Duplicates inside the file
+  const firstRowByEmail = new Map();
+  for (const p of parsed) {
+    if (!p.values.email) continue;
+    const first = firstRowByEmail.get(p.values.email);
+    if (first) p.errors.push({ field: "email", message: `Duplicate of row ${first}` });
+    else firstRowByEmail.set(p.values.email, p.row);
+  }
+
+  // Duplicates against the {business, email} unique index
+  const existing = await User.find({ business: businessId, email: { $in: [...firstRowByEmail.keys()] } })
+    .select("email status")
+    .lean();
+  const existingByEmail = new Map(existing.map((u) => [u.email, u]));
+  for (const p of parsed) {
+    const match = p.values.email && existingByEmail.get(p.values.email);
+    if (match && match.status !== "deleted") {
+      p.errors.push({ field: "email", message: "A user with this email already exists in this business" });
+    }
+  }
+
+  const valid = parsed.filter((p) => p.errors.length === 0);
+  if (valid.length > 0) await assertWithinPlanLimit({ businessId, resource: "users", adding: valid.length });
+
+  const rows = parsed.map((p) => ({
+    row: p.row,
+    email: p.values.email || null,
+    action: p.errors.length ? "skip" : "create",
+  }));
+  const errors = parsed.flatMap((p) => p.errors.map((e) => ({ row: p.row, ...e })));
+
+  let created = 0;
+  let invited = 0;
+
+  if (!dryRun) {
+    for (const p of valid) {
+      const result = rows.find((r) => r.row === p.row);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        let user = await User.findOne({ business: businessId, email: p.values.email, status: "deleted" });
+        // Revived accounts start clean, as with createUser / inviteUser
+        if (user) user.resetAccountState();
+        else user = new User({ business: businessId, email: p.values.email });
+
+        applyImportedValues(user, p.values);
+        if (sendInvites) {
+          // eslint-disable-next-line no-await-in-loop
+          await issueInvite(user, actor);
+          invited += 1;
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          await user.save();
+        }
+
+        created += 1;
+        result.action = "created";
+        result.userId = user._id;
+      } catch (err) {
+        result.action = "skip";
+        errors.push({
+          row: p.row,
+          field: err?.code === 11000 ? "email" : undefined,
+          message: err?.code === 11000 ? "A user with this email already exists in this business" : err.message,
+        });
+      }
+    }
+
+    if (created > 0) {
+      await recordAuditEvent({
+        businessId,
+        actor,
+        action: "user.imported",
+        target: { kind: "Business", id: businessId },
+        meta: { created, invited },
+        ip,
+      });
+    }
+  }
+
+  return {
+    dryRun,
+    summary: {
+      rows: parsed.length,
+      valid: valid.length,
+      invalid: parsed.length - valid.length,
+      created,
+      invited,
+    },
+    rows,
+    errors,
+  };
+}
+
+function exportRow(user) {
+  const meta = user.employeeMeta || {};
+  return {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    displayName: user.displayName,
+    email: user.email,
+    role: user.role,
+    phone: user.phone,
+    employeeCode: meta.employeeCode,
+    jobTitle: meta.jobTitle,
+    payType: meta.payType,
+    hourlyRate: meta.hourlyRate,
+    startDate: meta.startDate ? new Date(meta.startDate).toISOString().slice(0, 10) : "",
+    status: user.status,
+  };
+}
+
+/**
+ * CSV of the directory, honoring the same filters as GET /api/users.
+ * Columns follow the JSON field visibility (utils/userVisibility.js): contact
+ * columns need users.viewContact, pay columns users.viewPay.
+ */
+export async function exportUsersCsv({ businessId, actor, filters = {} }) {
+  const columns = [...COLUMNS, ...EXPORT_ONLY_COLUMNS].filter((c) => canViewUserField(actor, COLUMN_PATHS[c]));
+
+  const users = await User.find(buildUserDirectoryFilter({ businessId, actor, ...filters }))
+    .select(userProjection(actor))
+    .sort({ lastName: 1, firstName: 1, _id: 1 })
+    .lean();
+
+  const rows = users.map(exportRow).map((row) => columns.map((c) => row[c]));
+  return toCsv([columns, ...rows]);
+}
@@ -0,0 +1,639 @@
+// services/userService.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/httpError.js";
+import { timeToMinutes } from "../utils/timeMath.js";
+import { hasPermission } from "../utils/permissions.js";
+import { paginate, parseSort, escapeRegex } from "../utils/pagination.js";
+import { isValidTimeZone } from "../utils/validation.js";
+import { PAY_FIELDS, canViewUserField, userProjection } from "../utils/userVisibility.js";
+import { locationScope, isInLocationScope } from "../utils/locationScope.js";
+import { assertNotThrottled, registerAttempt, clearAttempts, clearFailedLogins } from "./throttleService.js";
+import { recordAuditEvent } from "./auditService.js";
+import { revokeAllSessions } from "./sessionService.js";
+import { releaseUserShifts } from "./shiftService.js";
+import { assertWithinPlanLimit } from "./billingService.js";
+import { assertValidReferences } from "./referenceService.js";
+import { ROLES, EMAIL_REGEX, canAssignRole } from "./invitationService.js";
+
+const PROFILE_FIELDS = ["firstName", "lastName", "displayName", "phone", "avatarUrl"];
+const EMPLOYEE_META_FIELDS = [
+  "employeeCode",
+  "jobTitle",
+  "payType",
+  "hourlyRate",
+  "startDate",
+  "notes",
+  "emergencyContact",
+];
+
+// What a user may change about themselves via PATCH /api/users/me
+const SELF_FIELDS = ["firstName", "lastName", "displayName", "phone", "avatarUrl", "preferences", "employeeMeta", "availability"];
+const SELF_PREFERENCE_FIELDS = ["timezone", "weekStartsOn", "notifications"];
+const SELF_EMPLOYEE_META_FIELDS = ["emergencyContact"];
+const EMERGENCY_CONTACT_FIELDS = ["name", "phone", "relationship"];
+
+// Directory sort keys; each needs its field to be visible to the caller (utils/userVisibility.js)
+const DIRECTORY_SORTS = { name: "lastName", firstName: "firstName", role: "role" };
+const CONTACT_SORTS = { ...DIRECTORY_SORTS, email: "email" };
+const MANAGER_SORTS = { ...CONTACT_SORTS, status: "status", createdAt: "createdAt", lastSeenAt: "lastSeenAt" };
+const LISTABLE_STATUSES = ["active", "invited", "disabled"];
+
+function listParam(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+async function getUserInBusiness(businessId, userId) {
+  if (!mongoose.isValidObjectId(userId)) throw notFound("User not found in this business");
+
+  const user = await User.findOne({ _id: userId, business: businessId }).notDeleted();
+  if (!user) throw notFound("User not found in this business");
+  return user;
+}
+
+/**
+ * Managers can manage managers and employees; only owners can touch owners.
+ * Location-scoped managers: only users at their locations, or not yet assigned
+ * to any (so new hires can be picked up).
+ */
+function assertCanManage(actor, target) {
+  if (target.role === "owner" && actor.role !== "owner") {
+    throw forbidden("Only owners can manage an owner");
+  }
+  if (target.locations?.length && !isInLocationScope(actor, target.locations)) {
+    throw forbidden("This user is outside your locations");
+  }
+}
+
+// Directory restriction for location-scoped actors: their locations' staff, users
+// not yet assigned to any location (the ones assertCanManage lets them pick up)
+// and themselves
+function locationScopeCondition(actor) {
+  const scope = locationScope(actor);
+  if (!scope) return null;
+  return {
+    $or: [
+      { locations: { $in: scope } },
+      { locations: { $size: 0 } },
+      { locations: { $exists: false } },
+      { _id: actor._id },
+    ],
+  };
+}
+
+async function countActiveOwners(businessId) {
+  return User.countDocuments({ business: businessId, role: "owner", status: "active" });
+}
+
+// Demoting, disabling or deleting an active owner must leave at least one behind
+async function assertNotLastOwner(businessId, user, action) {
+  if (user.role !== "owner" || user.status !== "active") return;
+  if ((await countActiveOwners(businessId)) <= 1) {
+    throw conflict(`Cannot ${action} the last owner of the business`);
+  }
+}
+
+// Mongoose validation errors -> 400 with the failing paths
+async function saveUser(user) {
+  try {
+    return await user.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      throw badRequest(
+        "Invalid user data",
+        Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]))
+      );
+    }
+    if (err?.code === 11000) throw conflict("A user with this email already exists in this business");
+    throw err;
+  }
+}
+
+function applyProfile(user, body = {}, actor = null) {
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) user.set(field, body[field] || undefined);
+  }
+
+  const meta = body.employeeMeta;
+  if (meta === undefined) return;
+  if (meta === null || typeof meta !== "object" || Array.isArray(meta)) {
+    throw badRequest("employeeMeta must be an object");
+  }
+  if (PAY_FIELDS.some((f) => meta[f] !== undefined) && !hasPermission(actor, "users.viewPay")) {
+    throw forbidden("You do not have permission to change pay");
+  }
+  for (const field of EMPLOYEE_META_FIELDS) {
+    if (meta[field] !== undefined) user.set(`employeeMeta.${field}`, meta[field] === "" ? undefined : meta[field]);
+  }
+}
+
+/**
+ * Directory filter shared by the list and the CSV export.
+ * - q: every word must match first/last/display name, email or employee code
+ * - role, status: comma-separated lists; jobTitle: exact (case-insensitive); locationId
+ * - Without users.manage only active users are visible and status is ignored.
+ * - Filters and search terms on fields the caller cannot see are ignored.
+ * - Location-scoped callers only see users at their locations, plus unassigned ones.
+ */
+export function buildUserDirectoryFilter({ businessId, actor, q, role, status, jobTitle, locationId }) {
+  const canManage = hasPermission(actor, "users.manage");
+  const canViewContact = hasPermission(actor, "users.viewContact");
+  const and = [{ business: businessId }];
+
+  const scoped = locationScopeCondition(actor);
+  if (scoped) and.push(scoped);
+
+  const roles = listParam(role);
+  const badRoles = roles.filter((r) => !ROLES.includes(r));
+  if (badRoles.length) throw badRequest("Invalid role filter", { roles: badRoles });
+  if (roles.length) and.push({ role: { $in: roles } });
+
+  if (canManage) {
+    const statuses = listParam(status);
+    const badStatuses = statuses.filter((s) => !LISTABLE_STATUSES.includes(s));
+    if (badStatuses.length) throw badRequest("Invalid status filter", { statuses: badStatuses });
+    and.push({ status: statuses.length ? { $in: statuses } : { $ne: "deleted" } });
+  } else {
+    and.push({ status: "active" });
+  }
+
+  if (jobTitle && canViewContact) and.push({ "employeeMeta.jobTitle": new RegExp(`^${escapeRegex(String(jobTitle).trim())}$`, "i") });
+
+  if (locationId && canViewContact) {
+    if (!mongoose.isValidObjectId(locationId)) throw badRequest("Invalid locationId");
+    and.push({ locations: locationId });
+  }
+
+  const words = String(q || "").trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  for (const word of words) {
+    const re = new RegExp(escapeRegex(word), "i");
+    and.push({
+      $or: [
+        { firstName: re },
+        { lastName: re },
+        { displayName: re },
+        ...(canViewContact ? [{ email: re }] : []),
+        ...(canManage ? [{ "employeeMeta.employeeCode": re }] : []),
+      ],
+    });
+  }
+
+  return { $and: and };
+}
+
+/**
+ * GET /api/users: search, filters, sort and cursor pagination.
+ * Fields follow the caller's visibility (names only / + contact / + HR / + pay);
+ * without users.manage only active users are listed.
+ * Returns { items, total, nextCursor, limit }.
+ */
+export async function listUsers({ businessId, actor, sort, cursor, limit, ...filters }) {
+  const canManage = hasPermission(actor, "users.manage");
+  let sorts = DIRECTORY_SORTS;
+  if (canManage) sorts = MANAGER_SORTS;
+  else if (canViewUserField(actor, "email")) sorts = CONTACT_SORTS;
+
+  return paginate(User, {
+    filter: buildUserDirectoryFilter({ businessId, actor, ...filters }),
+    sort: parseSort(sort, sorts, canManage ? "-createdAt" : "name"),
+    cursor,
+    limit,
+    select: userProjection(actor),
+  });
+}
+
+// Same field rules as listUsers; you always see your own full profile
+export async function getUser({ businessId, actor, userId }) {
+  if (String(actor._id) === String(userId)) return getUserInBusiness(businessId, userId);
+
+  if (!mongoose.isValidObjectId(userId)) throw notFound("User not found in this business");
+  const q = User.findOne({ _id: userId, business: businessId });
+  if (hasPermission(actor, "users.manage")) q.notDeleted();
+  else q.where({ status: "active" });
+
+  const scoped = locationScopeCondition(actor);
+  if (scoped) q.where(scoped);
+
+  const user = await q.select(userProjection(actor)).lean();
+  if (!user) throw notFound("User not found in this business");
+  return user;
+}
+
+/**
+ * Create an active account directly (the alternative to inviting).
+ * Body mirrors the profile fields plus email, password and role.
+ */
+export async function createUser({ businessId, actor, email, password, role = "employee", ip, ...profile }) {
+  const emailNorm = String(email || "").toLowerCase().trim();
+  if (!emailNorm || !EMAIL_REGEX.test(emailNorm)) throw badRequest("A valid email is required");
+  if (!password || String(password).length < 8) throw badRequest("password must be at least 8 characters");
+  if (!ROLES.includes(role)) throw badRequest("Invalid role");
+  if (!canAssignRole(actor.role, role)) throw forbidden(`You cannot create a user with role "${role}"`);
+  if (!profile.firstName && !profile.displayName) throw badRequest("firstName or displayName is required");
+
+  let user = await User.findOne({ business: businessId, email: emailNorm });
+  if (user && user.status !== "deleted") {
+    throw conflict("A user with this email already exists in this business");
+  }
+
+  await assertWithinPlanLimit({ businessId, resource: "users" });
+
+  // Re-creating a soft-deleted user revives the same document (unique {business, email}),
+  // without the previous holder's grants, second factor or HR data
+  if (user) user.resetAccountState();
+  else user = new User({ business: businessId, email: emailNorm });
+
+  user.set({ role, status: "active", deletedAt: undefined });
+  applyProfile(user, profile, actor);
+  user.password = String(password);
+  await saveUser(user);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.created",
+    target: { kind: "User", id: user._id },
+    meta: { role },
+    ip,
+  });
+
+  return user;
+}
+
+/**
+ * Profile + employeeMeta only; role and status have their own endpoints.
+ */
+export async function updateUser({ businessId, actor, userId, updates = {}, ip }) {
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+
+  applyProfile(user, updates, actor);
+  const changed = user.modifiedPaths().filter((p) => !p.includes("."));
+  await saveUser(user);
+
+  if (changed.length > 0) {
+    await recordAuditEvent({
+      businessId,
+      actor,
+      action: "user.updated",
+      target: { kind: "User", id: user._id },
+      meta: { fields: changed },
+      ip,
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Replace a user's location assignments and home location.
+ * Location-scoped managers can only add or remove their own locations; the
+ * user's other locations are kept. homeLocation defaults to the first location.
+ */
+export async function setUserLocations({ businessId, actor, userId, locations, homeLocation, ip }) {
+  if (!Array.isArray(locations)) throw badRequest("locations must be an array of location ids");
+
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+  if (String(user._id) === String(actor._id) && actor.role !== "owner") {
+    throw forbidden("You cannot change your own locations");
+  }
+
+  const requested = [...new Set(locations.map(String))];
+  const current = (user.locations || []).map(String);
+  const scope = locationScope(actor);
+
+  const outside = scope ? requested.filter((id) => !scope.includes(id)) : [];
+  if (outside.length) throw forbidden("You can only assign your own locations", { locations: outside });
+
+  // Newly added locations and the home location must be active locations of this business
+  const added = requested.filter((id) => !current.includes(id));
+  await assertValidReferences(businessId, {
+    locations: {
+      ...Object.fromEntries(added.map((id) => [`locations[${requested.indexOf(id)}]`, id])),
+      homeLocation: homeLocation && !current.includes(String(homeLocation)) ? homeLocation : null,
+    },
+  });
+
+  const kept = scope ? current.filter((id) => !scope.includes(id)) : [];
+  const next = [...new Set([...kept, ...requested])];
+
+  let nextHome = homeLocation ? String(homeLocation) : user.homeLocation && String(user.homeLocation);
+  if (homeLocation && !next.includes(nextHome)) throw badRequest("homeLocation must be one of the user's locations");
+  if (!next.includes(nextHome)) nextHome = next[0];
+
+  const previous = { locations: current, homeLocation: user.homeLocation ? String(user.homeLocation) : null };
+  user.locations = next;
+  user.homeLocation = nextHome || undefined;
+  if (!user.isModified("locations") && !user.isModified("homeLocation")) return user;
+
+  await saveUser(user);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.locations_changed",
+    target: { kind: "User", id: user._id },
+    meta: { from: previous, to: { locations: next, homeLocation: nextHome || null } },
+    ip,
+  });
+
+  return user;
+}
+
+export async function changeUserRole({ businessId, actor, userId, role, ip }) {
+  if (!ROLES.includes(role)) throw badRequest("Invalid role");
+
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+  if (!canAssignRole(actor.role, role)) throw forbidden(`You cannot assign the role "${role}"`);
+  if (user.role === role) return user;
+
+  if (role !== "owner") await assertNotLastOwner(businessId, user, "demote");
+
+  const previousRole = user.role;
+  user.role = role; // pre-save bumps tokenVersion so old tokens stop working
+  await saveUser(user);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.role_changed",
+    target: { kind: "User", id: user._id },
+    meta: { from: previousRole, to: role },
+    ip,
+  });
+
+  return user;
+}
+
+export async function disableUser({ businessId, actor, userId, ip }) {
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+  if (String(user._id) === String(actor._id)) throw badRequest("You cannot disable your own account");
+  if (user.status === "invited") throw conflict("Cancel the pending invite instead");
+  if (user.status === "disabled") return user;
+
+  await assertNotLastOwner(businessId, user, "disable");
+
+  user.status = "disabled";
+  await saveUser(user);
+  await revokeAllSessions({ userId: user._id, reason: "user_inactive" });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.disabled",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return user;
+}
+
+export async function enableUser({ businessId, actor, userId, ip }) {
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+  if (user.status !== "disabled") throw conflict("Only disabled users can be re-enabled");
+  await assertWithinPlanLimit({ businessId, resource: "users" });
+
+  user.status = "active";
+  await saveUser(user);
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.enabled",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return user;
+}
+
+/**
+ * Soft delete: the document stays for history, sessions are revoked, account
+ * state (grants, 2FA, locations, HR data) is cleared and the user's upcoming
+ * shifts are released (drafts canceled, published ones opened up).
+ */
+export async function deleteUser({ businessId, actor, userId, ip }) {
+  const user = await getUserInBusiness(businessId, userId);
+  assertCanManage(actor, user);
+  if (String(user._id) === String(actor._id)) throw badRequest("You cannot delete your own account");
+
+  await assertNotLastOwner(businessId, user, "delete");
+
+  user.status = "deleted"; // pre-save stamps deletedAt
+  user.resetAccountState();
+  await saveUser(user);
+  await revokeAllSessions({ userId: user._id, reason: "user_inactive" });
+
+  const shifts = await releaseUserShifts({ businessId, actor, userId: user._id });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.deleted",
+    target: { kind: "User", id: user._id },
+    meta: { shifts },
+    ip,
+  });
+
+  return { _id: user._id, deleted: true, shifts };
+}
+
+/**
+ * Validate availability.weekly: one entry per day, "HH:mm" ranges with
+ * start < end and no overlaps within a day. Returns the normalized array.
+ */
+function normalizeWeeklyAvailability(weekly) {
+  if (!Array.isArray(weekly)) throw badRequest("availability.weekly must be an array");
+
+  const errors = {};
+  const seenDays = new Set();
+
+  const normalized = weekly.map((day, i) => {
+    const path = `availability.weekly[${i}]`;
+    const dayOfWeek = Number(day?.dayOfWeek);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      errors[`${path}.dayOfWeek`] = "dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)";
+    } else if (seenDays.has(dayOfWeek)) {
+      errors[`${path}.dayOfWeek`] = "Each day may only appear once";
+    } else {
+      seenDays.add(dayOfWeek);
+    }
+
+    const ranges = Array.isArray(day?.ranges) ? day.ranges : [];
+    if (day?.ranges !== undefined && !Array.isArray(day.ranges)) errors[`${path}.ranges`] = "ranges must be an array";
+
+    const parsed = [];
+    ranges.forEach((r, j) => {
+      let start;
+      let end;
+      try {
+        start = timeToMinutes(r?.start);
+        end = timeToMinutes(r?.end);
+      } catch {
+        errors[`${path}.ranges[${j}]`] = "start and end must be HH:mm (24h)";
+        return;
+      }
+      if (end <= start) {
+        errors[`${path}.ranges[${j}]`] = "end must be after start";
+        return;
+      }
+      parsed.push({ index: j, start, end, range: { start: r.start, end: r.end } });
+    });
+
+    parsed.sort((a, b) => a.start - b.start);
+    for (let k = 1; k < parsed.length; k += 1) {
+      if (parsed[k].start < parsed[k - 1].end) {
+        errors[`${path}.ranges[${parsed[k].index}]`] = "Ranges on the same day must not overlap";
+      }
+    }
+
+    return { dayOfWeek, ranges: parsed.map((p) => p.range) };
+  });
+
+  if (Object.keys(errors).length > 0) throw badRequest("Invalid availability", errors);
+  return normalized.sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+}
+
+/**
+ * PATCH /api/users/me: only profile, preferences, emergency contact and
+ * weekly availability. Anything else (role, status, pay, ...) is rejected.
+ */
+export async function updateOwnProfile({ user, updates = {} }) {
+  if (!isPlainObject(updates)) throw badRequest("Body must be an object");
+
+  const rejected = Object.keys(updates).filter((k) => !SELF_FIELDS.includes(k));
+
+  const { preferences, employeeMeta, availability } = updates;
+  if (preferences !== undefined) {
+    if (!isPlainObject(preferences)) throw badRequest("preferences must be an object");
+    rejected.push(
+      ...Object.keys(preferences).filter((k) => !SELF_PREFERENCE_FIELDS.includes(k)).map((k) => `preferences.${k}`)
+    );
+  }
+  if (employeeMeta !== undefined) {
+    if (!isPlainObject(employeeMeta)) throw badRequest("employeeMeta must be an object");
+    rejected.push(
+      ...Object.keys(employeeMeta).filter((k) => !SELF_EMPLOYEE_META_FIELDS.includes(k)).map((k) => `employeeMeta.${k}`)
+    );
+  }
+  if (availability !== undefined) {
+    if (!isPlainObject(availability)) throw badRequest("availability must be an object");
+    rejected.push(...Object.keys(availability).filter((k) => k !== "weekly").map((k) => `availability.${k}`));
+  }
+  if (rejected.length > 0) throw badRequest("These fields cannot be changed here", { fields: rejected });
+
+  for (const field of PROFILE_FIELDS) {
+    if (updates[field] !== undefined) user.set(field, updates[field] || undefined);
+  }
+
+  if (preferences) {
+    if (preferences.timezone !== undefined) {
+      if (!isValidTimeZone(preferences.timezone)) throw badRequest("preferences.timezone must be an IANA time zone");
+      user.set("preferences.timezone", preferences.timezone);
+    }
+    if (preferences.weekStartsOn !== undefined) {
+      const day = Number(preferences.weekStartsOn);
+      if (!Number.isInteger(day) || day < 0 || day > 6) throw badRequest("preferences.weekStartsOn must be 0-6");
+      user.set("preferences.weekStartsOn", day);
+    }
+    if (preferences.notifications !== undefined) {
+      if (!isPlainObject(preferences.notifications) || typeof preferences.notifications.email !== "boolean") {
+        throw badRequest("preferences.notifications.email must be a boolean");
+      }
+      user.set("preferences.notifications.email", preferences.notifications.email);
+    }
+  }
+
+  if (employeeMeta?.emergencyContact !== undefined) {
+    const contact = employeeMeta.emergencyContact;
+    if (contact !== null && !isPlainObject(contact)) throw badRequest("employeeMeta.emergencyContact must be an object");
+    for (const field of EMERGENCY_CONTACT_FIELDS) {
+      const value = contact ? contact[field] : null;
+      if (value !== undefined) user.set(`employeeMeta.emergencyContact.${field}`, value || undefined);
+    }
+  }
+
+  if (availability?.weekly !== undefined) {
+    user.set("availability.weekly", normalizeWeeklyAvailability(availability.weekly));
+  }
+
+  await saveUser(user);
+  return user;
+}
+
+/**
+ * Requires the current password. Every session is revoked (the password change
+ * would end them anyway); returns the current session's settings so the caller
+ * can start a fresh one for this device.
+ */
+export async function changeOwnPassword({ user, sessionId, currentPassword, newPassword, ip }) {
+  if (!currentPassword || !newPassword) throw badRequest("currentPassword and newPassword are required");
+  if (String(newPassword).length < 8) throw badRequest("newPassword must be at least 8 characters");
+
+  // Throttled like sign-in, so a stolen session cannot guess the password here
+  await assertNotThrottled([{ policy: "changePasswordUser", id: String(user._id) }]);
+
+  const withHash = await User.findById(user._id).select("+passwordHash");
+  if (!withHash || !(await withHash.comparePassword(String(currentPassword)))) {
+    await registerAttempt("changePasswordUser", String(user._id));
+    throw badRequest("Current password is incorrect");
+  }
+  await clearAttempts("changePasswordUser", String(user._id));
+  if (await withHash.comparePassword(String(newPassword))) {
+    throw badRequest("newPassword must be different from the current password");
+  }
+
+  const current = sessionId ? await Session.findById(sessionId).select("remember linkedUsers").lean() : null;
+
+  withHash.password = String(newPassword);
+  await withHash.save();
+  await revokeAllSessions({ userId: user._id, reason: "password_change" });
+
+  await recordAuditEvent({
+    businessId: user.business,
+    actor: user,
+    action: "user.password_changed",
+    target: { kind: "User", id: user._id },
+    ip,
+  });
+
+  return {
+    user: withHash,
+    remember: Boolean(current?.remember),
+    linkedUsers: current?.linkedUsers || [],
+  };
+}
+
+export async function unlockUser({ businessId, actor, userId, ip }) {
+  const user = await getUserInBusiness(businessId, userId);
+
+  const wasLocked = user.isLocked();
+
+  user.lockedUntil = undefined;
+  await user.save();
+  await clearFailedLogins({ email: user.email, businessId });
+
+  await recordAuditEvent({
+    businessId,
+    actor,
+    action: "user.unlocked",
+    target: { kind: "User", id: user._id },
+    meta: { wasLocked },
+    ip,
+  });
+
+  return user;
+}
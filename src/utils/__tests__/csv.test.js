@@ -0,0 +1,90 @@
+// utils/__tests__/csv.test.js
+import { parseCsv, toCsv } from "../csv.js";
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    expect(parseCsv("a,b,c\n1,2,3\n")).toEqual([
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  it("handles CRLF, a missing final newline and blank lines", () => {
+    expect(parseCsv("a,b\r\n\r\n1,2")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("strips a UTF-8 BOM", () => {
+    expect(parseCsv("\uFEFFemail\nx@y.co\n")).toEqual([["email"], ["x@y.co"]]);
+  });
+
+  it("keeps empty fields", () => {
+    expect(parseCsv("a,,c\n,,\n")).toEqual([
+      ["a", "", "c"],
+      ["", "", ""],
+    ]);
+  });
+
+  it("reads quoted fields with commas, newlines and doubled quotes", () => {
+    expect(parseCsv('name,note\n"Smith, Jo","line 1\nline ""2"""\n')).toEqual([
+      ["name", "note"],
+      ["Smith, Jo", 'line 1\nline "2"'],
+    ]);
+  });
+
+  it("treats a quote inside an unquoted field as text", () => {
+    expect(parseCsv('5" pan,x\n')).toEqual([['5" pan', "x"]]);
+  });
+
+  it("throws on an unterminated quoted field", () => {
+    expect(() => parseCsv('a,"b\n1,2\n')).toThrow("Unterminated quoted field");
+  });
+
+  it("returns no rows for empty input", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv(undefined)).toEqual([]);
+  });
+});
+
+describe("toCsv", () => {
+  it("joins rows with CRLF and ends with a newline", () => {
+    expect(toCsv([["a", "b"], [1, 2]])).toBe("a,b\r\n1,2\r\n");
+  });
+
+  it("writes null / undefined as empty and dates as ISO strings", () => {
+    const when = new Date("2024-01-02T03:04:05.000Z");
+    expect(toCsv([[null, undefined, when]])).toBe(",,2024-01-02T03:04:05.000Z\r\n");
+  });
+
+  it("quotes fields with commas, quotes and line breaks", () => {
+    expect(toCsv([["Smith, Jo", 'say "hi"', "a\nb", "a\rb"]])).toBe('"Smith, Jo","say ""hi""","a\nb","a\rb"\r\n');
+  });
+
+  it.each(["=SUM(A1:A2)", "+1 604 555 0100", "-2+3", "@cmd", "\tHIDDEN"])(
+    "neutralizes a formula-like cell (%j)",
+    (value) => {
+      const [cell] = parseCsv(toCsv([[value]]))[0];
+      expect(cell).toBe(`'${value}`);
+    }
+  );
+
+  it("quotes a neutralized cell when it also needs quoting", () => {
+    expect(toCsv([['=HYPERLINK("http://x","y")']])).toBe(`"'=HYPERLINK(""http://x"",""y"")"\r\n`);
+    expect(toCsv([["\r=1"]])).toBe(`"'\r=1"\r\n`);
+  });
+
+  it("leaves ordinary values alone", () => {
+    expect(toCsv([["a-b", "x@y.co", 42, "O'Brien"]])).toBe("a-b,x@y.co,42,O'Brien\r\n");
+  });
+
+  it("round-trips through parseCsv", () => {
+    const rows = [
+      ["firstName", "note"],
+      ["Jo", 'multi\nline, "quoted"'],
+      ["", "plain"],
+    ];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
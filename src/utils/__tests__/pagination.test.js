@@ -0,0 +1,205 @@
+// utils/__tests__/pagination.test.js
+import mongoose from "mongoose";
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  parseSort,
+  paginate,
+  escapeRegex,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+} from "../pagination.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+function thrownBy(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error("Expected the call to throw");
+}
+
+// Records the query paginate builds and returns `docs` from it
+function fakeModel(docs = [], total = docs.length) {
+  const calls = {};
+  const query = {
+    sort(s) {
+      calls.sort = s;
+      return query;
+    },
+    limit(n) {
+      calls.limit = n;
+      return query;
+    },
+    select(s) {
+      calls.select = s;
+      return query;
+    },
+    populate(p) {
+      calls.populate = p;
+      return query;
+    },
+    lean: async () => docs.slice(0, calls.limit),
+  };
+  return {
+    calls,
+    find(filter) {
+      calls.filter = filter;
+      return query;
+    },
+    countDocuments: async (filter) => {
+      calls.countFilter = filter;
+      return total;
+    },
+  };
+}
+
+describe("cursor encoding", () => {
+  it("round-trips strings and numbers with the _id", () => {
+    const _id = id();
+    for (const value of ["Smith", 42, 0, ""]) {
+      const decoded = decodeCursor(encodeCursor({ _id, name: value }, "name"));
+      expect(decoded.value).toBe(value);
+      expect(String(decoded.id)).toBe(String(_id));
+    }
+  });
+
+  it("round-trips dates as Date objects", () => {
+    const when = new Date("2024-05-01T12:34:56.000Z");
+    const decoded = decodeCursor(encodeCursor({ _id: id(), createdAt: when }, "createdAt"));
+    expect(decoded.value).toBeInstanceOf(Date);
+    expect(decoded.value.toISOString()).toBe(when.toISOString());
+  });
+
+  it("encodes missing and null sort values as null", () => {
+    expect(decodeCursor(encodeCursor({ _id: id() }, "lastName")).value).toBeNull();
+    expect(decodeCursor(encodeCursor({ _id: id(), lastName: null }, "lastName")).value).toBeNull();
+  });
+
+  it("reads nested sort paths", () => {
+    const cursor = encodeCursor({ _id: id(), employeeMeta: { jobTitle: "Cook" } }, "employeeMeta.jobTitle");
+    expect(decodeCursor(cursor).value).toBe("Cook");
+  });
+
+  it.each([
+    ["garbage", "not-a-cursor"],
+    ["bad id", Buffer.from(JSON.stringify({ v: 1, id: "nope" })).toString("base64url")],
+    ["no id", Buffer.from(JSON.stringify({ v: 1 })).toString("base64url")],
+  ])("rejects an invalid cursor (%s) with 400", (_label, cursor) => {
+    const err = thrownBy(() => decodeCursor(cursor));
+    expect(err.statusCode).toBe(400);
+    expect(err.message).toBe("Invalid cursor");
+  });
+});
+
+describe("parseLimit", () => {
+  it("defaults, caps and validates", () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+    expect(parseLimit("")).toBe(DEFAULT_LIMIT);
+    expect(parseLimit("10")).toBe(10);
+    expect(parseLimit(MAX_LIMIT + 50)).toBe(MAX_LIMIT);
+    expect(() => parseLimit("0")).toThrow("limit must be a positive integer");
+    expect(() => parseLimit("2.5")).toThrow("limit must be a positive integer");
+  });
+});
+
+describe("parseSort", () => {
+  const allowed = { name: "lastName", createdAt: "createdAt" };
+
+  it("maps public keys to paths and reads the direction", () => {
+    expect(parseSort("name", allowed, "name")).toEqual({ field: "lastName", direction: 1 });
+    expect(parseSort("-createdAt", allowed, "name")).toEqual({ field: "createdAt", direction: -1 });
+    expect(parseSort(undefined, allowed, "-name")).toEqual({ field: "lastName", direction: -1 });
+  });
+
+  it("rejects keys outside the allowed map", () => {
+    expect(() => parseSort("passwordHash", allowed, "name")).toThrow(/sort must be one of: name, createdAt/);
+    expect(() => parseSort("constructor", allowed, "name")).toThrow(/sort must be one of/);
+  });
+});
+
+describe("paginate", () => {
+  const base = { business: "b1" };
+
+  it("returns the first page and a cursor when more rows exist", async () => {
+    const docs = [
+      { _id: id(), name: "a" },
+      { _id: id(), name: "b" },
+      { _id: id(), name: "c" },
+    ];
+    const Model = fakeModel(docs, 7);
+    const page = await paginate(Model, { filter: base, sort: { field: "name", direction: 1 }, limit: 2 });
+
+    expect(Model.calls.filter).toBe(base);
+    expect(Model.calls.sort).toEqual({ name: 1, _id: 1 });
+    expect(Model.calls.limit).toBe(3);
+    expect(page.items).toHaveLength(2);
+    expect(page.total).toBe(7);
+    expect(page.limit).toBe(2);
+    expect(decodeCursor(page.nextCursor)).toEqual({ value: "b", id: docs[1]._id });
+  });
+
+  it("returns no cursor on the last page and counts with the base filter", async () => {
+    const Model = fakeModel([{ _id: id(), name: "a" }]);
+    const cursor = encodeCursor({ _id: id(), name: "0" }, "name");
+    const page = await paginate(Model, { filter: base, sort: { field: "name", direction: 1 }, cursor });
+    expect(page.nextCursor).toBeNull();
+    expect(Model.calls.countFilter).toBe(base);
+  });
+
+  it("continues after a value cursor (ascending: nulls already passed)", async () => {
+    const last = { _id: id(), name: "m" };
+    const Model = fakeModel();
+    await paginate(Model, { filter: base, sort: { field: "name", direction: 1 }, cursor: encodeCursor(last, "name") });
+
+    expect(Model.calls.filter).toEqual({
+      $and: [base, { $or: [{ name: { $gt: "m" } }, { name: "m", _id: { $gt: last._id } }] }],
+    });
+  });
+
+  it("continues after a value cursor (descending: nulls still to come)", async () => {
+    const last = { _id: id(), name: "m" };
+    const Model = fakeModel();
+    await paginate(Model, { filter: base, sort: { field: "name", direction: -1 }, cursor: encodeCursor(last, "name") });
+
+    expect(Model.calls.filter.$and[1]).toEqual({
+      $or: [{ name: { $lt: "m" } }, { name: "m", _id: { $lt: last._id } }, { name: null }],
+    });
+  });
+
+  it("continues after a null cursor (ascending: remaining nulls, then every value)", async () => {
+    const last = { _id: id() };
+    const Model = fakeModel();
+    await paginate(Model, { filter: base, sort: { field: "name", direction: 1 }, cursor: encodeCursor(last, "name") });
+
+    expect(Model.calls.filter.$and[1]).toEqual({
+      $or: [{ name: null, _id: { $gt: last._id } }, { name: { $ne: null } }],
+    });
+  });
+
+  it("continues after a null cursor (descending: only the remaining nulls)", async () => {
+    const last = { _id: id(), name: null };
+    const Model = fakeModel();
+    await paginate(Model, { filter: base, sort: { field: "name", direction: -1 }, cursor: encodeCursor(last, "name") });
+
+    expect(Model.calls.filter.$and[1]).toEqual({ name: null, _id: { $lt: last._id } });
+  });
+
+  it("passes select and populate through", async () => {
+    const Model = fakeModel();
+    await paginate(Model, { sort: { field: "name", direction: 1 }, select: "name", populate: "user" });
+    expect(Model.calls.select).toBe("name");
+    expect(Model.calls.populate).toBe("user");
+  });
+});
+
+describe("escapeRegex", () => {
+  it("escapes every regex metacharacter", () => {
+    const raw = "a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o";
+    expect(new RegExp(`^${escapeRegex(raw)}$`).test(raw)).toBe(true);
+    expect(new RegExp(escapeRegex(".*")).test("anything")).toBe(false);
+  });
+});
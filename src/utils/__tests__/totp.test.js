@@ -0,0 +1,104 @@
+// utils/__tests__/totp.test.js
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  totpCounter,
+  sealSecret,
+  openSecret,
+} from "../totp.js";
+
+// RFC 6238 appendix B seed ("12345678901234567890"), SHA-1; codes truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", () => {
+  it("round-trips arbitrary bytes", () => {
+    const buf = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 42]);
+    expect(base32Decode(base32Encode(buf))).toEqual(buf);
+  });
+
+  it("ignores case, padding and whitespace", () => {
+    expect(base32Decode("gezd gnbv====")).toEqual(base32Decode("GEZDGNBV"));
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    expect(() => base32Decode("ABC1")).toThrow("Invalid base32 character");
+  });
+});
+
+describe("generateTotp", () => {
+  it.each([
+    [59 * 1000, "287082"],
+    [1111111109 * 1000, "081804"],
+    [1234567890 * 1000, "005924"],
+    [2000000000 * 1000, "279037"],
+  ])("matches the RFC 6238 vector at %i ms", (time, code) => {
+    expect(generateTotp(RFC_SECRET, time)).toBe(code);
+  });
+});
+
+describe("verifyTotp", () => {
+  const now = 1234567890 * 1000;
+  const codeAt = (steps) => generateTotp(RFC_SECRET, now + steps * 30 * 1000);
+
+  it("returns the matching counter for the current code", () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(0), { time: now })).toBe(totpCounter(now));
+  });
+
+  it("accepts one step of drift either side by default", () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(-1), { time: now })).toBe(totpCounter(now) - 1);
+    expect(verifyTotp(RFC_SECRET, codeAt(1), { time: now })).toBe(totpCounter(now) + 1);
+  });
+
+  it("rejects codes outside the drift window", () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(-2), { time: now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(2), { time: now })).toBeNull();
+  });
+
+  it("honors a wider window", () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(-2), { time: now, window: 2 })).toBe(totpCounter(now) - 2);
+  });
+
+  it("rejects codes at or before lastUsedCounter (replay)", () => {
+    const counter = totpCounter(now);
+    expect(verifyTotp(RFC_SECRET, codeAt(0), { time: now, lastUsedCounter: counter })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(-1), { time: now, lastUsedCounter: counter - 1 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(1), { time: now, lastUsedCounter: counter })).toBe(counter + 1);
+  });
+
+  it("strips whitespace and rejects malformed codes", () => {
+    const code = codeAt(0);
+    expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time: now })).toBe(totpCounter(now));
+    expect(verifyTotp(RFC_SECRET, "12345", { time: now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "abcdef", { time: now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { time: now })).toBeNull();
+  });
+});
+
+describe("sealSecret / openSecret", () => {
+  const previousKey = process.env.TOTP_ENCRYPTION_KEY;
+
+  beforeAll(() => {
+    process.env.TOTP_ENCRYPTION_KEY = "test-encryption-key";
+  });
+
+  afterAll(() => {
+    if (previousKey === undefined) delete process.env.TOTP_ENCRYPTION_KEY;
+    else process.env.TOTP_ENCRYPTION_KEY = previousKey;
+  });
+
+  it("round-trips and uses a fresh IV each time", () => {
+    const a = sealSecret(RFC_SECRET);
+    const b = sealSecret(RFC_SECRET);
+    expect(a).not.toBe(b);
+    expect(openSecret(a)).toBe(RFC_SECRET);
+  });
+
+  it("fails on tampered ciphertext", () => {
+    const [iv, tag, ct] = sealSecret(RFC_SECRET).split(".");
+    const flipped = Buffer.from(ct, "base64");
+    flipped[0] ^= 1;
+    expect(() => openSecret([iv, tag, flipped.toString("base64")].join("."))).toThrow();
+  });
+});
@@ -0,0 +1,68 @@
+// utils/__tests__/webhookSignature.test.js
+import { signPayload, verifySignature } from "../webhookSignature.js";
+
+const secret = "whsec_test";
+const body = JSON.stringify({ type: "subscription.updated", data: { plan: "pro" } });
+const t = 1700000000;
+const now = t * 1000;
+
+describe("verifySignature", () => {
+  it("accepts a fresh signature for the exact body", () => {
+    const header = signPayload(body, { secret, timestamp: t });
+    expect(verifySignature(body, header, { secret, now })).toBe(true);
+  });
+
+  it("accepts timestamps up to the tolerance either side", () => {
+    const old = signPayload(body, { secret, timestamp: t - 300 });
+    const ahead = signPayload(body, { secret, timestamp: t + 300 });
+    expect(verifySignature(body, old, { secret, now })).toBe(true);
+    expect(verifySignature(body, ahead, { secret, now })).toBe(true);
+  });
+
+  it("rejects timestamps outside the tolerance (replays)", () => {
+    const stale = signPayload(body, { secret, timestamp: t - 301 });
+    const future = signPayload(body, { secret, timestamp: t + 301 });
+    expect(verifySignature(body, stale, { secret, now })).toBe(false);
+    expect(verifySignature(body, future, { secret, now })).toBe(false);
+    expect(verifySignature(body, stale, { secret, now, toleranceSeconds: 600 })).toBe(true);
+  });
+
+  it("rejects a tampered body", () => {
+    const header = signPayload(body, { secret, timestamp: t });
+    expect(verifySignature(body.replace("pro", "enterprise"), header, { secret, now })).toBe(false);
+  });
+
+  it("rejects a re-stamped header (timestamp is signed)", () => {
+    const header = signPayload(body, { secret, timestamp: t - 1000 });
+    const restamped = header.replace(`t=${t - 1000}`, `t=${t}`);
+    expect(verifySignature(body, restamped, { secret, now })).toBe(false);
+  });
+
+  it("rejects a signature made with another secret", () => {
+    const header = signPayload(body, { secret: "whsec_other", timestamp: t });
+    expect(verifySignature(body, header, { secret, now })).toBe(false);
+  });
+
+  it("rejects a tampered or truncated signature", () => {
+    const header = signPayload(body, { secret, timestamp: t });
+    const v1 = header.split("v1=")[1];
+    const flipped = `${v1.slice(0, -1)}${v1.endsWith("0") ? "1" : "0"}`;
+    expect(verifySignature(body, `t=${t},v1=${flipped}`, { secret, now })).toBe(false);
+    expect(verifySignature(body, `t=${t},v1=${v1.slice(0, 32)}`, { secret, now })).toBe(false);
+  });
+
+  it.each([
+    ["missing header", undefined],
+    ["empty header", ""],
+    ["no timestamp", "v1=abcd"],
+    ["no signature", `t=${t}`],
+    ["non-numeric timestamp", "t=soon,v1=abcd"],
+  ])("rejects a malformed header (%s)", (_label, header) => {
+    expect(verifySignature(body, header, { secret, now })).toBe(false);
+  });
+
+  it("rejects everything when no secret is configured", () => {
+    const header = signPayload(body, { secret, timestamp: t });
+    expect(verifySignature(body, header, { secret: "", now })).toBe(false);
+  });
+});
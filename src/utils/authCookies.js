@@ -0,0 +1,60 @@
+// utils/authCookies.js
+// Cookie + session helpers shared by the routes that sign a user in.
+import { createSession } from "../services/sessionService.js";
+import { signAccessToken } from "./jwt.js";
+
+export const COOKIE_NAME = process.env.COOKIE_NAME || "auth_token";
+export const REFRESH_COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || "refresh_token";
+
+/**
+ * Cookie options:
+ * - httpOnly: JS can't read the token
+ * - sameSite: "lax" works well for localhost + most normal navigation
+ * - secure: only true in production (https)
+ */
+function cookieBaseOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+  };
+}
+
+export function setAuthCookies(res, { accessToken, refreshToken, remember = false }) {
+  // Access token: short-lived JWT, session cookie (the JWT itself expires)
+  res.cookie(COOKIE_NAME, accessToken, cookieBaseOptions());
+
+  // Refresh token: only sent to /api/auth; persisted when remember = true, else session cookie
+  const refreshOpts = { ...cookieBaseOptions(), path: "/api/auth" };
+  if (remember) {
+    // 30 days
+    refreshOpts.maxAge = 30 * 24 * 60 * 60 * 1000;
+  }
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, refreshOpts);
+}
+
+export function clearAuthCookies(res) {
+  res.clearCookie(COOKIE_NAME, cookieBaseOptions());
+  res.clearCookie(REFRESH_COOKIE_NAME, { ...cookieBaseOptions(), path: "/api/auth" });
+}
+
+export function requestClientInfo(req) {
+  return { ip: req.ip, userAgent: req.headers["user-agent"] };
+}
+
+/**
+ * Creates a server-side session for the user and sets both cookies.
+ */
+export async function startSession(req, res, user, remember = false, { linkedUsers = [] } = {}) {
+  const { session, refreshToken } = await createSession({
+    user,
+    remember,
+    linkedUsers,
+    ...requestClientInfo(req),
+  });
+
+  const accessToken = signAccessToken(user, { sessionId: session._id });
+  setAuthCookies(res, { accessToken, refreshToken, remember });
+  return session;
+}
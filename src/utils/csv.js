@@ -0,0 +1,68 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV: quoted fields, "" escapes, CRLF/LF line endings, UTF-8 BOM.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped. Throws Error on an unterminated quoted field.
+ */
+export function parseCsv(text) {
+  const input = String(text ?? "").replace(/^﻿/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === "") inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n") endRow();
+    else if (ch === "\r") {
+      if (input[i + 1] !== "\n") endRow();
+    } else field += ch;
+  }
+
+  if (inQuotes) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Spreadsheet apps execute cells starting with these; prefix a quote so they stay text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows: array of arrays -> CSV text (CRLF line endings).
+ */
+export function toCsv(rows) {
+  return rows.map((r) => r.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
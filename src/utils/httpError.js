@@ -10,6 +10,9 @@ export class HttpError extends Error {
 
 export const badRequest = (msg, details) => new HttpError(400, msg, details);
 export const unauthorized = (msg = "Unauthorized") => new HttpError(401, msg);
-export const forbidden = (msg = "Forbidden") => new HttpError(403, msg);
+export const paymentRequired = (msg = "Payment required", details) => new HttpError(402, msg, details);
+export const forbidden = (msg = "Forbidden", details) => new HttpError(403, msg, details);
 export const notFound = (msg = "Not found") => new HttpError(404, msg);
-export const conflict = (msg = "Conflict") => new HttpError(409, msg);
+export const conflict = (msg = "Conflict", details) => new HttpError(409, msg, details);
+export const locked = (msg = "Locked", details) => new HttpError(423, msg, details);
+export const tooManyRequests = (msg = "Too many requests", details) => new HttpError(429, msg, details);
@@ -1,19 +1,24 @@
 // utils/jwt.js
 import jwt from "jsonwebtoken";
 
-export function signAccessToken(user, remember = false) {
+/**
+ * Short-lived access token. Long-lived sign-in is handled by the rotating
+ * refresh token (see services/sessionService.js), so "remember me" no longer
+ * extends the access token.
+ */
+export function signAccessToken(user, { sessionId } = {}) {
   const secret = process.env.JWT_SECRET;
   if (!secret) throw new Error("JWT_SECRET is not set");
 
-  const defaultExpiresIn = process.env.JWT_EXPIRES_IN || "12h";
-
-  const expiresIn = remember ? "30d" : defaultExpiresIn;
+  const expiresIn = process.env.JWT_EXPIRES_IN || "15m";
 
   return jwt.sign(
     {
       sub: user._id.toString(),
       business: user.business?.toString(),
       role: user.role,
+      tv: user.tokenVersion || 0,
+      ...(sessionId ? { sid: String(sessionId) } : {}),
     },
     secret,
     { expiresIn },
@@ -23,5 +28,28 @@ export function signAccessToken(user, remember = false) {
 export function verifyAccessToken(token) {
   const secret = process.env.JWT_SECRET;
   if (!secret) throw new Error("JWT_SECRET is not set");
-  return jwt.verify(token, secret);
+
+  const payload = jwt.verify(token, secret);
+  // Purpose tokens (see below) are never valid as access tokens
+  if (payload?.purpose) throw new Error("Not an access token");
+  return payload;
+}
+
+/**
+ * Short-lived single-purpose token for multi-step flows (e.g. picking a business
+ * after the password check). Verified only by verifyPurposeToken with the same purpose.
+ */
+export function signPurposeToken(purpose, claims = {}, expiresIn = "5m") {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not set");
+  return jwt.sign({ ...claims, purpose }, secret, { expiresIn });
+}
+
+export function verifyPurposeToken(token, purpose) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not set");
+
+  const payload = jwt.verify(token, secret);
+  if (payload?.purpose !== purpose) throw new Error("Invalid token purpose");
+  return payload;
 }
@@ -0,0 +1,25 @@
+// utils/locationScope.js
+// Location-scoped access. A non-owner assigned to locations (User.locations) only
+// sees and acts on those locations in business-wide views: shifts, time entries
+// awaiting approval, the user directory. Owners, and users without locations,
+// keep business-wide access.
+
+/**
+ * The actor's location ids (strings), or null for business-wide access.
+ */
+export function locationScope(actor) {
+  if (!actor || actor.role === "owner") return null;
+  const ids = (actor.locations || []).map(String);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * True when `locationIds` (one id or an array) includes a location in the actor's
+ * scope; always true for business-wide actors.
+ */
+export function isInLocationScope(actor, locationIds) {
+  const scope = locationScope(actor);
+  if (!scope) return true;
+  const ids = (Array.isArray(locationIds) ? locationIds : [locationIds]).filter(Boolean).map(String);
+  return ids.some((id) => scope.includes(id));
+}
@@ -0,0 +1,115 @@
+// utils/pagination.js
+// Keyset ("cursor") pagination over a single sort field with _id as tie-breaker.
+//
+// The cursor is opaque to clients: base64url JSON of the last item's sort value and _id.
+// Missing/null sort values are handled the way MongoDB sorts them (first when
+// ascending, last when descending).
+import mongoose from "mongoose";
+import { badRequest } from "./httpError.js";
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+
+export function parseLimit(limit, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  if (limit === undefined || limit === null || limit === "") return defaultLimit;
+  const n = Number(limit);
+  if (!Number.isInteger(n) || n < 1) throw badRequest("limit must be a positive integer");
+  return Math.min(n, maxLimit);
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+export function encodeCursor(doc, sortField) {
+  const value = getPath(doc, sortField);
+  const payload = {
+    v: value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) throw new Error("bad id");
+    const value = v && typeof v === "object" && v.$date ? new Date(v.$date) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+}
+
+// Filter for "everything after the cursor" in the given sort order
+function afterCursor(sortField, direction, { value, id }) {
+  const ascending = direction === 1;
+  const idAfter = { _id: ascending ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return ascending
+      ? { $or: [{ [sortField]: null, ...idAfter }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, ...idAfter };
+  }
+
+  return {
+    $or: [
+      { [sortField]: ascending ? { $gt: value } : { $lt: value } },
+      { [sortField]: value, ...idAfter },
+      ...(ascending ? [] : [{ [sortField]: null }]),
+    ],
+  };
+}
+
+/**
+ * Run a paginated find.
+ * - Model: the mongoose model
+ * - filter: the base filter (also used for `total`)
+ * - sort: { field, direction: 1 | -1 }
+ * - cursor, limit: from the query string
+ * - select / populate: passed through to the query (select must include the sort field)
+ *
+ * Returns { items, total, nextCursor, limit }.
+ */
+export async function paginate(Model, { filter = {}, sort, cursor, limit, select, populate } = {}) {
+  const pageSize = parseLimit(limit);
+  const { field, direction } = sort;
+
+  const pageFilter = cursor ? { $and: [filter, afterCursor(field, direction, decodeCursor(cursor))] } : filter;
+
+  const q = Model.find(pageFilter)
+    .sort({ [field]: direction, _id: direction })
+    .limit(pageSize + 1);
+  if (select) q.select(select);
+  if (populate) q.populate(populate);
+
+  const [docs, total] = await Promise.all([q.lean(), Model.countDocuments(filter)]);
+
+  const hasMore = docs.length > pageSize;
+  const items = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    limit: pageSize,
+  };
+}
+
+/**
+ * "-createdAt" -> { field: "createdAt", direction: -1 }, restricted to `allowed`
+ * (a map of public sort keys to document paths).
+ */
+export function parseSort(sort, allowed, fallback) {
+  const raw = String(sort || fallback);
+  const direction = raw.startsWith("-") ? -1 : 1;
+  const key = raw.replace(/^[-+]/, "");
+  if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+    throw badRequest(`sort must be one of: ${Object.keys(allowed).join(", ")} (prefix with - for descending)`);
+  }
+  return { field: allowed[key], direction };
+}
+
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,73 @@
+// utils/permissions.js
+// Permission catalogue + role defaults.
+//
+// Effective permissions for a user =
+//   role permissions (business override in settings.rolePermissions, else defaults below)
+//   ∪ user.permissions (individual grants, e.g. a senior employee who approves time)
+// Owners always have every permission.
+
+export const PERMISSIONS = {
+  "shifts.viewAll": "See every shift in the business, not just your own",
+  "shifts.manage": "Create, edit, assign, unassign and cancel shifts",
+  "shifts.publish": "Publish shifts",
+
+  "timeEntries.viewAll": "See everyone's time entries and summaries",
+  "timeEntries.manage": "Create, edit, submit and void time entries for other users",
+  "timeEntries.approve": "Approve or reject submitted time entries",
+
+  "users.invite": "Invite users and manage pending invites",
+  "users.manage": "Edit users, change roles, disable and delete users",
+  "users.viewContact": "See coworkers' email, phone, job title and emergency contact",
+  "users.viewPay": "See and change pay type and hourly rates (payroll)",
+
+  "locations.manage": "Create, edit, archive and restore locations",
+
+  "inventory.manage": "Create, edit and archive inventory items",
+  "inventory.adjust": "Record stock movements",
+  "inventory.viewCost": "See item costs (when cost tracking is enabled)",
+
+  "business.manage": "Change business settings",
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Roles whose mapping an owner may customize
+export const CONFIGURABLE_ROLES = ["manager", "employee"];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  owner: PERMISSION_KEYS,
+  // Pay data is owner-only unless granted (e.g. to whoever runs payroll)
+  manager: PERMISSION_KEYS.filter((p) => p !== "business.manage" && p !== "users.viewPay"),
+  employee: [],
+};
+
+export function isKnownPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+export function rolePermissionsFor(role, business = null) {
+  if (role === "owner") return DEFAULT_ROLE_PERMISSIONS.owner;
+
+  const override = business?.settings?.rolePermissions?.[role];
+  if (Array.isArray(override)) return override.filter(isKnownPermission);
+
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+}
+
+export function resolvePermissions(user, business = null) {
+  const granted = new Set(rolePermissionsFor(user?.role, business));
+  for (const p of user?.permissions || []) {
+    if (isKnownPermission(p)) granted.add(p);
+  }
+  return [...granted];
+}
+
+/**
+ * `actor` is the authenticated user. resolveTenant stores the business-aware
+ * result in actor.$locals.permissions; otherwise fall back to role defaults.
+ */
+export function hasPermission(actor, permission) {
+  if (!actor) return false;
+  const resolved = actor.$locals?.permissions || resolvePermissions(actor);
+  return resolved.includes(permission);
+}
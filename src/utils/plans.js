@@ -0,0 +1,40 @@
+// utils/plans.js
+// Subscription plan catalogue. `null` limits mean unlimited.
+//
+// Limits are checked when something is created (or re-enabled), never
+// retroactively: a downgraded business keeps what it has but cannot add more.
+
+export const PLANS = {
+  free: {
+    name: "Free",
+    limits: { users: 5, locations: 1, inventoryItems: 0 },
+    modules: ["scheduling", "timeTracking"],
+  },
+  starter: {
+    name: "Starter",
+    limits: { users: 15, locations: 1, inventoryItems: 250 },
+    modules: ["scheduling", "timeTracking", "inventory"],
+  },
+  pro: {
+    name: "Pro",
+    limits: { users: 100, locations: 10, inventoryItems: 5000 },
+    modules: ["scheduling", "timeTracking", "inventory"],
+  },
+  enterprise: {
+    name: "Enterprise",
+    limits: { users: null, locations: null, inventoryItems: null },
+    modules: ["scheduling", "timeTracking", "inventory"],
+  },
+};
+
+export const PLAN_KEYS = Object.keys(PLANS);
+export const DEFAULT_PLAN = "starter";
+
+export function getPlan(business) {
+  const key = PLANS[business?.subscription?.plan] ? business.subscription.plan : DEFAULT_PLAN;
+  return { key, ...PLANS[key] };
+}
+
+export function planIncludesModule(business, moduleName) {
+  return getPlan(business).modules.includes(moduleName);
+}
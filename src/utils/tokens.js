@@ -0,0 +1,11 @@
+// utils/tokens.js
+import { randomBytes, createHash } from "crypto";
+
+// Opaque random token (hex). Send the raw value to the client, store only hashToken(raw).
+export function generateToken(bytes = 32) {
+  return randomBytes(bytes).toString("hex");
+}
+
+export function hashToken(raw) {
+  return createHash("sha256").update(String(raw)).digest("hex");
+}
@@ -0,0 +1,116 @@
+// utils/totp.js
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s) + helpers to keep secrets encrypted at rest.
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(randomBytes(bytes));
+}
+
+function hotp(key, counter, digits = DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = createHmac("sha1", key).update(msg).digest();
+  const offset = h[h.length - 1] & 0xf;
+  const bin =
+    ((h[offset] & 0x7f) << 24) | (h[offset + 1] << 16) | (h[offset + 2] << 8) | h[offset + 3];
+  return String(bin % 10 ** digits).padStart(digits, "0");
+}
+
+export function totpCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+export function generateTotp(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), totpCounter(time));
+}
+
+/**
+ * Returns the matching time-step counter, or null.
+ * - window: accepted clock drift in steps either side
+ * - lastUsedCounter: reject codes at or before it (replay protection)
+ */
+export function verifyTotp(secret, code, { window = 1, time = Date.now(), lastUsedCounter = null } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const current = totpCounter(time);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (lastUsedCounter !== null && lastUsedCounter !== undefined && counter <= lastUsedCounter) continue;
+    const expected = hotp(key, counter);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return counter;
+  }
+  return null;
+}
+
+export function otpauthUri({ secret, accountName, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// --- At-rest encryption (AES-256-GCM) ---
+function encryptionKey() {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) throw new Error("TOTP_ENCRYPTION_KEY (or JWT_SECRET) is not set");
+  return createHash("sha256").update(material).digest();
+}
+
+export function sealSecret(plain) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ct = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map((b) => b.toString("base64")).join(".");
+}
+
+export function openSecret(sealed) {
+  const [iv, tag, ct] = String(sealed).split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString("utf8");
+}
@@ -0,0 +1,101 @@
+// utils/userVisibility.js
+// Which fields of *other* users a viewer may see. Everything that returns or
+// populates user documents (users routes, shifts, time entries) goes through here.
+//
+//   everyone            names, avatar, role, status
+//   users.viewContact   + email, phone, job title, locations, emergency contact
+//   users.manage        + account and HR fields (permissions, notes, availability, ...)
+//   users.viewPay       + pay type and hourly rate
+//
+// You always see your own profile in full.
+import { hasPermission } from "./permissions.js";
+
+const FIELD_TIERS = [
+  {
+    permission: null,
+    fields: ["_id", "firstName", "lastName", "displayName", "avatarUrl", "role", "status"],
+  },
+  {
+    permission: "users.viewContact",
+    fields: [
+      "email",
+      "phone",
+      "employeeMeta.jobTitle",
+      "employeeMeta.emergencyContact",
+      "locations",
+      "homeLocation",
+    ],
+  },
+  {
+    permission: "users.manage",
+    fields: [
+      "business",
+      "permissions",
+      "isEmailVerified",
+      "employeeMeta.employeeCode",
+      "employeeMeta.startDate",
+      "employeeMeta.notes",
+      "availability",
+      "preferences",
+      "lastLoginAt",
+      "lastSeenAt",
+      "createdAt",
+      "updatedAt",
+    ],
+  },
+  {
+    permission: "users.viewPay",
+    fields: ["employeeMeta.payType", "employeeMeta.hourlyRate"],
+  },
+];
+
+export const PAY_FIELDS = ["payType", "hourlyRate"];
+
+function isSelf(viewer, user) {
+  return Boolean(viewer?._id && user?._id) && String(viewer._id) === String(user._id);
+}
+
+/**
+ * Dot-paths of other users' documents that `viewer` may see.
+ */
+export function visibleUserFields(viewer) {
+  return FIELD_TIERS.filter((t) => !t.permission || hasPermission(viewer, t.permission)).flatMap((t) => t.fields);
+}
+
+export function canViewUserField(viewer, path) {
+  return visibleUserFields(viewer).includes(path);
+}
+
+/**
+ * Projection string for find().select() / populate("user", ...).
+ */
+export function userProjection(viewer) {
+  return visibleUserFields(viewer).join(" ");
+}
+
+function pick(source, paths) {
+  const out = {};
+  for (const path of paths) {
+    const keys = path.split(".");
+    const value = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+    if (value === undefined) continue;
+
+    let target = out;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
+
+/**
+ * A user document (mongoose doc or lean object) reduced to what `viewer` may see.
+ */
+export function redactUser(user, viewer) {
+  if (!user) return user;
+  const plain = typeof user.toJSON === "function" ? user.toJSON() : user;
+  if (isSelf(viewer, plain)) return plain;
+  return pick(plain, visibleUserFields(viewer));
+}
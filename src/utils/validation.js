@@ -0,0 +1,29 @@
+// utils/validation.js
+// Small format checks shared by services.
+
+// IANA zone name, e.g. "America/Vancouver"
+export function isValidTimeZone(value) {
+  if (!value || typeof value !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "#1A73E8" or "#1AE"
+export function isHexColor(value) {
+  return typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+// Absolute http(s) URL
+export function isHttpUrl(value) {
+  if (!value || typeof value !== "string") return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
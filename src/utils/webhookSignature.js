@@ -0,0 +1,36 @@
+// utils/webhookSignature.js
+// Billing webhook signatures: header "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+// signed with BILLING_WEBHOOK_SECRET. The timestamp bounds replays.
+import { createHmac, timingSafeEqual } from "crypto";
+
+export const SIGNATURE_HEADER = "x-billing-signature";
+const TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, timestamp, rawBody) {
+  return createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+export function signPayload(rawBody, { secret, timestamp = Math.floor(Date.now() / 1000) }) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Returns true when `header` is a valid, fresh signature for `rawBody`.
+ */
+export function verifySignature(rawBody, header, { secret, toleranceSeconds = TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!secret || !header || rawBody === undefined) return false;
+
+  const parts = Object.fromEntries(
+    String(header)
+      .split(",")
+      .map((p) => p.trim().split("="))
+      .filter(([k, v]) => k && v)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}